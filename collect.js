@@ -1,29 +1,70 @@
 #!/usr/bin/env node
 
-import {ApiPromise, WsProvider} from '@polkadot/api';
 import yargs from 'yargs';
 import {hideBin} from 'yargs/helpers';
 import fs from 'fs';
 import {firstValueFrom} from 'rxjs';
+import {BlockCache} from './lib/block-cache.js';
+import {analyzeSlots, decodeBabePreDigest} from './lib/babe-slots.js';
+import {startMetricsServer} from './lib/prometheus.js';
+import {RpcPool} from './lib/rpc-pool.js';
+import {QUALITY_METRICS, analyzeQuality, blockContentInfo, totalBlockWeight} from './lib/block-quality.js';
+import {analyzeParticipation, decodeBlockJustification} from './lib/grandpa-votes.js';
+import {loadNodeMapping} from './lib/node-mapping.js';
+import {analyzeParaStats, extractParaData} from './lib/para-stats.js';
+
+// Storage lookups used by --group-by; each index only grows with block number
+const GROUP_QUERIES = {
+    session: async (apiAt) => (await apiAt.query.session.currentIndex()).toNumber(),
+    era: async (apiAt) => {
+        const activeEra = await apiAt.query.staking.activeEra();
+        return activeEra.isSome ? activeEra.unwrap().index.toNumber() : null;
+    },
+    epoch: async (apiAt) => (await apiAt.query.babe.epochIndex()).toNumber()
+};
+
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+// Parse an ISO timestamp, "now" or a duration ago ("6h", "last 90m", "2d") -> milliseconds since epoch
+function parseTime(value, now = Date.now()) {
+    const text = String(value).trim().replace(/^last\s+/i, '');
+    if (text.toLowerCase() === 'now') return now;
+    const relative = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(text);
+    if (relative) {
+        return now - Number(relative[1]) * TIME_UNITS[relative[2].toLowerCase()];
+    }
+    const timestamp = Date.parse(text);
+    if (Number.isNaN(timestamp)) {
+        throw new Error(`Invalid time "${value}": use an ISO timestamp, "now" or a duration like 6h`);
+    }
+    return timestamp;
+}
 
 // Configure command line arguments
 const argv = yargs(hideBin(process.argv))
     .option('start-block', {
         alias: 's',
         type: 'number',
-        demandOption: true,
-        description: 'Starting block number'
+        description: 'Starting block number (required unless --from-time or --follow, which defaults to the next finalized block)'
     })
     .option('end-block', {
         alias: 'e',
         type: 'number',
-        description: 'Ending block number (if not specified, use latest block)'
+        description: 'Ending block number (if not specified, use the finalized head)'
+    })
+    .option('from-time', {
+        type: 'string',
+        description: 'Start of a wall-clock range instead of --start-block: ISO time (2025-01-01T00:00:00Z), "now" or a duration ago ("6h", "last 6h", "2d")'
+    })
+    .option('to-time', {
+        type: 'string',
+        description: 'End (exclusive) of a wall-clock range instead of --end-block (same formats as --from-time)'
     })
     .option('endpoint', {
         alias: 'u',
         type: 'string',
         default: 'wss://rpc.polkadot.io',
-        description: 'WebSocket RPC endpoint'
+        description: 'WebSocket RPC endpoint; repeat or comma-separate to spread batches over several nodes with failover'
     })
     .option('output', {
         alias: 'o',
@@ -65,13 +106,146 @@ const argv = yargs(hideBin(process.argv))
         type: 'string',
         description: 'Path to node mapping file (output of link-node-names.js). Only those nodes will be reported.'
     })
+    .option('group-by', {
+        type: 'string',
+        description: 'Break results down into a time series: session | era | epoch | <N> (fixed buckets of N blocks)'
+    })
+    .option('slots', {
+        type: 'boolean',
+        default: false,
+        description: 'Decode BABE pre-runtime digests and report primary/secondary claims, empty slots and estimated missed slots per validator'
+    })
+    .option('quality', {
+        type: 'boolean',
+        default: false,
+        description: 'Record block time, extrinsic count, encoded size and weight of each block and report min/avg/p95/max per author'
+    })
+    .option('grandpa', {
+        type: 'boolean',
+        default: false,
+        description: 'Decode GRANDPA justifications in the range and report each validator\'s precommit participation'
+    })
+    .option('paras', {
+        type: 'boolean',
+        default: false,
+        description: 'Relay chains: attribute parachain backing votes and availability bitfields (paraInherent) to validators'
+    })
+    .option('follow', {
+        type: 'boolean',
+        default: false,
+        description: 'Keep running and count blocks as they finalize (subscribes to finalized heads)'
+    })
+    .option('follow-interval', {
+        type: 'number',
+        default: 60,
+        description: 'Seconds between table redraws / snapshots in --follow mode'
+    })
+    .option('snapshot-file', {
+        type: 'string',
+        description: 'Append a JSONL snapshot of the running totals every --follow-interval'
+    })
+    .option('unfinalized', {
+        type: 'boolean',
+        default: false,
+        description: 'Allow the range to go past the GRANDPA finalized head (best chain, may include blocks that later get reorged)'
+    })
+    .option('forks', {
+        type: 'boolean',
+        default: false,
+        description: 'With --follow: track all imported heads and report orphaned (never finalized) blocks per author'
+    })
+    .option('metrics-port', {
+        type: 'number',
+        description: 'With --follow: serve Prometheus metrics on http://<metrics-host>:<port>/metrics'
+    })
+    .option('metrics-host', {
+        type: 'string',
+        default: '0.0.0.0',
+        description: 'Listen address for --metrics-port'
+    })
+    .option('rpc-timeout', {
+        type: 'number',
+        default: 30000,
+        description: 'Timeout per RPC call in milliseconds'
+    })
+    .option('retries', {
+        type: 'number',
+        default: 3,
+        description: 'Extra rounds over all endpoints before a block is counted as "Unknown"'
+    })
+    .option('retry-backoff', {
+        type: 'number',
+        default: 500,
+        description: 'Initial backoff between retry rounds in milliseconds (doubles every round)'
+    })
+    .option('cache-dir', {
+        type: 'string',
+        default: '.collect-cache',
+        description: 'Directory for the persistent block cache and checkpoints'
+    })
+    .option('cache', {
+        type: 'boolean',
+        default: true,
+        description: 'Reuse and store finalized block hash/author in the cache (--no-cache to always query RPC)'
+    })
+    .option('resume', {
+        type: 'boolean',
+        default: true,
+        description: 'Resume an interrupted run with the same start/end block from its checkpoint (--no-resume to start over)'
+    })
+    .check((argv) => {
+        if (argv.startBlock === undefined && argv.fromTime === undefined && !argv.follow) {
+            throw new Error('Missing required argument: start-block (or --from-time)');
+        }
+        if (argv.startBlock !== undefined && argv.fromTime !== undefined) {
+            throw new Error('--start-block and --from-time cannot be used together');
+        }
+        if (argv.endBlock !== undefined && argv.toTime !== undefined) {
+            throw new Error('--end-block and --to-time cannot be used together');
+        }
+        [argv.fromTime, argv.toTime].forEach(value => value !== undefined && parseTime(value));
+        if (argv.forks && !argv.follow) {
+            throw new Error('--forks requires --follow (orphaned blocks are only visible while they are being imported)');
+        }
+        if (argv.metricsPort !== undefined && !argv.follow) {
+            throw new Error('--metrics-port requires --follow');
+        }
+        if (argv.follow && (argv.endBlock !== undefined || argv.toTime !== undefined || argv.groupBy !== undefined || argv.slots || argv.quality || argv.grandpa || argv.paras)) {
+            throw new Error('--follow cannot be combined with --end-block, --to-time, --group-by, --slots, --quality, --grandpa or --paras');
+        }
+        const groupBy = argv.groupBy;
+        if (groupBy !== undefined && !GROUP_QUERIES[groupBy] && !(/^\d+$/.test(groupBy) && Number(groupBy) > 0)) {
+            throw new Error('--group-by must be session, era, epoch or a positive block count');
+        }
+        return true;
+    })
     .help()
     .alias('help', 'h')
     .example('$0 -s 1000 -e 2000', 'Query validator stats from block 1000 to 2000 (all validators)')
     .example('$0 -s 1000 --role node-validator-map.json', 'Only report blocks produced by nodes listed in mapping file')
     .example('$0 -s 1000 -o json -f result.json', 'Output JSON and save to a file')
+    .example('$0 -s 1000 -e 20000 --group-by session', 'Per-session block counts for each validator')
+    .example('$0 -s 1000 --group-by 600 -o csv', 'Block counts in buckets of 600 blocks as CSV')
+    .example('$0 -s 1000 -e 5000 --quality', 'Block time, extrinsics, size and weight per validator')
+    .example('$0 -s 1000 -e 5000 --slots', 'Slot claim types and missed-slot estimate per validator')
+    .example('$0 -s 1000 -e 50000 --grandpa --role node-validator-map.json', 'Finality vote participation per node')
+    .example('$0 -s 1000 -e 5000 --paras --role node-validator-map.json', 'Parachain backing votes and availability per node')
+    .example('$0 --follow --role node-validator-map.json --snapshot-file live.jsonl', 'Count blocks live as they finalize and append a snapshot every minute')
+    .example('$0 --follow --forks', 'Also report blocks authored on abandoned forks')
+    .example('$0 --follow --role node-validator-map.json --metrics-port 9615', 'Expose live block counts, heights and finality lag to Prometheus')
+    .example('$0 -s 1000 -u ws://node1:9944 -u ws://node2:9944', 'Spread queries over two nodes, failing over when one drops')
+    .example('$0 --from-time 2025-01-01T00:00:00Z --to-time 2025-01-02T00:00:00Z', 'Blocks produced on 1 January (UTC)')
+    .example('$0 --from-time "last 6h" --role node-validator-map.json', 'Blocks produced by our nodes in the last 6 hours')
+    .example('$0 -s 1000 --cache-dir /data/cache', 'Keep block cache and checkpoints in /data/cache')
     .argv;
 
+// Failed RPC attempts: endpoint -> method -> count (reported by --metrics-port)
+const rpcErrors = {};
+function countRpcError(method, endpoint) {
+    if (!rpcErrors[endpoint]) rpcErrors[endpoint] = {};
+    rpcErrors[endpoint][method] = (rpcErrors[endpoint][method] || 0) + 1;
+}
+
 // Progress bar display
 function showProgress(current, total, message = '') {
     const percentage = Math.floor((current / total) * 100);
@@ -79,36 +253,13 @@ function showProgress(current, total, message = '') {
     process.stdout.write(`\r[${bar}] ${percentage}% ${message}`);
 }
 
-// Parse node mapping produced by link-node-names.js
-function loadNodeMapping(filePath) {
-    if (!filePath) return null;
-    if (!fs.existsSync(filePath)) {
-        console.error(`❌ Node mapping file not found: ${filePath}`);
-        return null;
-    }
-    try {
-        const raw = fs.readFileSync(filePath, 'utf8');
-        const json = JSON.parse(raw);
-        if (!Array.isArray(json.nodes)) {
-            console.error('❌ Invalid node mapping file: missing nodes array');
-            return null;
-        }
-        // Build validator -> nodeName map (if duplicates keep first)
-        const validatorToNode = {};
-        const nodes = [];
-        json.nodes.forEach(entry => {
-            if (entry && entry.validator && entry.name) {
-                if (!validatorToNode[entry.validator]) {
-                    validatorToNode[entry.validator] = entry.name;
-                    nodes.push({ name: entry.name, validator: entry.validator });
-                }
-            }
-        });
-        return { validatorToNode, nodesMeta: nodes };
-    } catch (e) {
-        console.error(`❌ Failed to parse node mapping file: ${e.message}`);
-        return null;
-    }
+// --from-time/--to-time bounds as recorded in CSV (comment line) and table output
+function rangeComment(range) {
+    return `# from_time=${range.fromTime ?? ''},to_time=${range.toTime ?? ''},start_block=${range.startBlock},end_block=${range.endBlock}\n`;
+}
+
+function printRange(range) {
+    console.log(`🕒 Time range: ${range.fromTime ?? '-'} .. ${range.toTime ?? 'now'} (blocks ${range.startBlock} .. ${range.endBlock})`);
 }
 
 // Format output (normal per-validator mode)
@@ -126,10 +277,12 @@ function formatValidatorOutput(stats, format, options = {}) {
 
     switch (format) {
         case 'json':
-            return JSON.stringify(Object.fromEntries(filteredStats), null, 2);
+            return JSON.stringify(options.range
+                ? { range: options.range, ...Object.fromEntries(filteredStats) }
+                : Object.fromEntries(filteredStats), null, 2);
 
         case 'csv': {
-            const csvHeader = 'Validator,Block Count,Percentage\n';
+            const csvHeader = (options.range ? rangeComment(options.range) : '') + 'Validator,Block Count,Percentage\n';
             const blockcount = Object.values(stats).reduce((sum, data) => sum + data.blockCount, 0);
             const csvRows = filteredStats.map(([validator, data]) => {
                 const percentage = blockcount === 0 ? '0.00' : ((data.blockCount / blockcount) * 100).toFixed(2);
@@ -140,6 +293,7 @@ function formatValidatorOutput(stats, format, options = {}) {
         case 'table':
         default:
             console.log('\n📊 Validator Block Production Statistics:');
+            if (options.range) printRange(options.range);
             console.log('='.repeat(80));
 
             const blockcount = Object.values(stats).reduce((sum, data) => sum + data.blockCount, 0);
@@ -163,17 +317,17 @@ function formatValidatorOutput(stats, format, options = {}) {
 }
 
 // Format output (role node mapping mode)
-function formatNodeOutput(nodeStats, format) {
+function formatNodeOutput(nodeStats, format, options = {}) {
     // nodeStats: { nodeName: { validator, blockCount } }
     const entries = Object.entries(nodeStats).sort((a, b) => b[1].blockCount - a[1].blockCount);
     const totalBlocks = entries.reduce((sum, [, v]) => sum + v.blockCount, 0);
 
     switch (format) {
         case 'json': {
-            return JSON.stringify(nodeStats, null, 2);
+            return JSON.stringify(options.range ? { range: options.range, ...nodeStats } : nodeStats, null, 2);
         }
         case 'csv': {
-            const header = 'Node,Validator,Block Count,Percentage\n';
+            const header = (options.range ? rangeComment(options.range) : '') + 'Node,Validator,Block Count,Percentage\n';
             const rows = entries.map(([name, data]) => {
                 const percentage = totalBlocks === 0 ? '0.00' : ((data.blockCount / totalBlocks) * 100).toFixed(2);
                 return `"${name}","${data.validator}",${data.blockCount},${percentage}%`;
@@ -183,6 +337,7 @@ function formatNodeOutput(nodeStats, format) {
         case 'table':
         default: {
             console.log('\n📊 Node Block Production Statistics (Role Mode):');
+            if (options.range) printRange(options.range);
             console.log('='.repeat(100));
             console.log(`${'Node'.padEnd(20)} ${'Validator'.padEnd(50)} ${'Blocks'.padStart(10)} ${'Share'.padStart(10)}`);
             console.log('-'.repeat(100));
@@ -198,9 +353,8 @@ function formatNodeOutput(nodeStats, format) {
     }
 }
 
-// Safe wrapper for derive getBlockByNumber accommodating Observable or Promise-like return types
-async function deriveBlockByNumber(api, blockNum) {
-    const result = api.derive.chain.getBlockByNumber(blockNum);
+// Safe wrapper for derive results accommodating Observable or Promise-like return types
+async function awaitDerive(result) {
     // If it looks like an Observable, use firstValueFrom
     if (result && typeof result.subscribe === 'function') {
         return await firstValueFrom(result);
@@ -209,15 +363,962 @@ async function deriveBlockByNumber(api, blockNum) {
     return await result;
 }
 
+async function deriveBlockByNumber(api, blockNum) {
+    return awaitDerive(api.derive.chain.getBlockByNumber(blockNum));
+}
+
+// Resolve one block to { blockNum, hash, author, slot, claim, authorityIndex }
+// options.quality adds { timestamp, extrinsics, signedExtrinsics, size, weight, proofSize }
+// options.grandpa adds { justification: { round, signers } | null }
+// options.paras adds { paras: extractParaData(...) | null, session, parentHash }; the inherent is
+// checked against the parent's state, so session (and later the validator set) are read there
+async function fetchBlockInfo(api, blockNum, options = {}) {
+    const extended = await deriveBlockByNumber(api, blockNum);
+    let babe = null;
+    try {
+        babe = extended ? decodeBabePreDigest(api.registry, extended.block.header) : null;
+    } catch {
+        // not a BABE chain or unknown digest layout
+    }
+    const info = {
+        blockNum,
+        hash: extended ? extended.block.header.hash.toHex() : null,
+        author: (extended && extended.author && extended.author.toString()) || 'Unknown',
+        slot: babe ? babe.slot : null,
+        claim: babe ? babe.claim : null,
+        authorityIndex: babe ? babe.authorityIndex : null
+    };
+    if (options.quality && extended) {
+        const apiAt = await api.at(info.hash);
+        Object.assign(info, blockContentInfo(extended.block), totalBlockWeight(await apiAt.query.system.blockWeight()));
+    }
+    if (options.grandpa && extended) {
+        info.justification = decodeBlockJustification(api.registry, extended);
+    }
+    if (options.paras && extended) {
+        info.paras = extractParaData(extended);
+        info.parentHash = extended.block.header.parentHash.toHex();
+        info.session = info.paras ? (await (await api.at(info.parentHash)).query.session.currentIndex()).toNumber() : null;
+    }
+    return info;
+}
+
+// Binary search for the first block in [lo, hi] whose timestamp.now is >= target (hi + 1 if there is none)
+async function findFirstBlockAtOrAfter(pool, target, lo, hi) {
+    const timestampAt = (blockNum) => pool.call(async (api) => {
+        const hash = await api.rpc.chain.getBlockHash(blockNum);
+        return (await (await api.at(hash)).query.timestamp.now()).toNumber();
+    }, 'timestamp.now');
+    while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (await timestampAt(mid) >= target) {
+            hi = mid - 1;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    return lo;
+}
+
+// Resolve --from-time / --to-time to block numbers; the window is [from, to) so back-to-back days don't overlap.
+// Block 0 has no timestamp, so the search starts at 1.
+async function resolveTimeRange(pool, fromTime, toTime, finalizedNumber) {
+    const now = Date.now();
+    const range = {};
+    if (fromTime !== undefined) {
+        const from = parseTime(fromTime, now);
+        range.fromTime = new Date(from).toISOString();
+        range.startBlock = await findFirstBlockAtOrAfter(pool, from, 1, finalizedNumber);
+        if (range.startBlock > finalizedNumber) {
+            throw new Error(`No finalized block at or after ${range.fromTime}`);
+        }
+    }
+    if (toTime !== undefined) {
+        const to = parseTime(toTime, now);
+        range.toTime = new Date(to).toISOString();
+        range.endBlock = await findFirstBlockAtOrAfter(pool, to, 1, finalizedNumber) - 1;
+        if (range.endBlock < 1) {
+            throw new Error(`No block at or before ${range.toTime}`);
+        }
+    }
+    return range;
+}
+
+// Resolve the group index (session/era/epoch/bucket) of every block in blockLog.
+// Indexes are monotonic, so we bisect and only query state where the value changes.
+async function resolveGroupIndexes(pool, blockLog, groupBy) {
+    const indexes = new Array(blockLog.length);
+    if (!GROUP_QUERIES[groupBy]) {
+        const size = Number(groupBy);
+        const first = blockLog[0].blockNum;
+        blockLog.forEach(({ blockNum }, i) => {
+            indexes[i] = first + Math.floor((blockNum - first) / size) * size;
+        });
+        return indexes;
+    }
+
+    const query = GROUP_QUERIES[groupBy];
+    const memo = new Map();
+    let lookups = 0;
+    const indexAt = async (i) => {
+        if (memo.has(i)) return memo.get(i);
+        const { blockNum, hash } = blockLog[i];
+        const value = await pool.call(async (api) => {
+            const blockHash = hash || (await api.rpc.chain.getBlockHash(blockNum)).toHex();
+            return query(await api.at(blockHash));
+        }, `query.${groupBy}`);
+        memo.set(i, value);
+        lookups++;
+        return value;
+    };
+    const fill = async (lo, hi, vlo, vhi) => {
+        if (vlo === vhi) {
+            indexes.fill(vlo, lo, hi + 1);
+            return;
+        }
+        if (hi - lo <= 1) {
+            indexes[lo] = vlo;
+            indexes[hi] = vhi;
+            return;
+        }
+        const mid = (lo + hi) >> 1;
+        const vmid = await indexAt(mid);
+        await fill(lo, mid, vlo, vmid);
+        await fill(mid, hi, vmid, vhi);
+    };
+
+    const last = blockLog.length - 1;
+    await fill(0, last, await indexAt(0), await indexAt(last));
+    console.log(`🧭 Resolved ${groupBy} boundaries with ${lookups} state lookups`);
+    return indexes;
+}
+
+// Build a time series: [{ bucket, startBlock, endBlock, totalBlocks, blocks: { key: count } }]
+// keyOf maps an author to the row key (validator address, or node name in role mode; null = skip)
+function buildSeries(blockLog, indexes, keyOf, fixedKeys = []) {
+    const buckets = [];
+    const keys = new Set(fixedKeys);
+    blockLog.forEach(({ blockNum, author }, i) => {
+        let bucket = buckets[buckets.length - 1];
+        if (!bucket || bucket.bucket !== indexes[i]) {
+            bucket = { bucket: indexes[i], startBlock: blockNum, endBlock: blockNum, totalBlocks: 0, blocks: {} };
+            buckets.push(bucket);
+        }
+        bucket.endBlock = blockNum;
+        bucket.totalBlocks++;
+        const key = keyOf(author);
+        if (key === null) return;
+        keys.add(key);
+        bucket.blocks[key] = (bucket.blocks[key] || 0) + 1;
+    });
+    // zero-fill so a validator that stops producing shows up as 0 instead of disappearing
+    buckets.forEach(bucket => keys.forEach(key => {
+        if (!bucket.blocks[key]) bucket.blocks[key] = 0;
+    }));
+    return { keys: [...keys], buckets };
+}
+
+// Format output (--group-by time series)
+function formatSeriesOutput(series, format, options = {}) {
+    const { groupBy, nodeValidators, range } = options;
+    const label = nodeValidators ? 'Node' : 'Validator';
+    const bucketName = GROUP_QUERIES[groupBy] ? groupBy[0].toUpperCase() + groupBy.slice(1) : 'Bucket';
+    const keys = [...series.keys].sort((a, b) => {
+        const total = key => series.buckets.reduce((sum, bucket) => sum + bucket.blocks[key], 0);
+        return options.sortBy === 'validator' || nodeValidators ? a.localeCompare(b) : total(b) - total(a);
+    });
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                groupBy,
+                ...(range ? { range } : {}),
+                ...(nodeValidators ? { nodes: nodeValidators } : {}),
+                buckets: series.buckets
+            }, null, 2);
+
+        case 'csv': {
+            const header = (range ? rangeComment(range) : '') + `${bucketName},Start Block,End Block,${nodeValidators ? 'Node,Validator' : 'Validator'},Block Count,Percentage\n`;
+            const rows = [];
+            series.buckets.forEach(bucket => keys.forEach(key => {
+                const count = bucket.blocks[key];
+                const percentage = bucket.totalBlocks === 0 ? '0.00' : ((count / bucket.totalBlocks) * 100).toFixed(2);
+                const who = nodeValidators ? `"${key}","${nodeValidators[key]}"` : `"${key}"`;
+                rows.push(`${bucket.bucket},${bucket.startBlock},${bucket.endBlock},${who},${count},${percentage}%`);
+            }));
+            return header + rows.join('\n');
+        }
+        case 'table':
+        default: {
+            const colWidth = 9;
+            const width = 24 + series.buckets.length * (colWidth + 1);
+            console.log(`\n📈 Block Production per ${GROUP_QUERIES[groupBy] ? groupBy : `${groupBy} blocks`}:`);
+            if (range) printRange(range);
+            console.log('='.repeat(width));
+            console.log(`${`${label} \\ ${bucketName}`.padEnd(24)}${series.buckets.map(b => String(b.bucket).padStart(colWidth)).join(' ')}`);
+            console.log('-'.repeat(width));
+            keys.forEach(key => {
+                const shortKey = key.length > 21 ? key.substring(0, 21) + '...' : key;
+                console.log(`${shortKey.padEnd(24)}${series.buckets.map(b => String(b.blocks[key]).padStart(colWidth)).join(' ')}`);
+            });
+            console.log('-'.repeat(width));
+            console.log(`${'Total blocks'.padEnd(24)}${series.buckets.map(b => String(b.totalBlocks).padStart(colWidth)).join(' ')}`);
+            console.log(`Total: ${keys.length} ${label.toLowerCase()}s, ${series.buckets.length} buckets`);
+            return '';
+        }
+    }
+}
+
+// Fetch BABE epoch data (start slot, randomness, authorities -> validators) for every epoch in blockLog
+async function loadEpochs(pool, blockLog, epochIndexes) {
+    const epochs = new Map();
+    for (let i = 0; i < blockLog.length; i++) {
+        const epochIndex = epochIndexes[i];
+        if (epochs.has(epochIndex)) continue;
+        const { blockNum, hash } = blockLog[i];
+        const [epoch, validators] = await pool.call(async (api) => {
+            const blockHash = hash || (await api.rpc.chain.getBlockHash(blockNum)).toHex();
+            const apiAt = await api.at(blockHash);
+            return Promise.all([
+                apiAt.call.babeApi.currentEpoch(),
+                apiAt.query.session.validators()
+            ]);
+        }, 'babeApi.currentEpoch');
+        epochs.set(epochIndex, {
+            startSlot: epoch.startSlot.toNumber(),
+            randomness: epoch.randomness.toU8a(),
+            allowedSlots: epoch.config.allowedSlots.type,
+            validators: validators.map(v => v.toString())
+        });
+    }
+    return epochs;
+}
+
+// Authority set of each justified block (state of its parent, i.e. the set that voted on it),
+// with GRANDPA keys mapped to validator stashes via session.keyOwner
+async function loadGrandpaRounds(pool, blockLog) {
+    const owners = new Map(); // authority key -> validator (null if no owner)
+    const sets = new Map(); // setId -> [authority key]
+    const rounds = [];
+    for (const { blockNum, justification } of blockLog) {
+        if (!justification) continue;
+        const { setId, authorities } = await pool.call(async (api) => {
+            const parentHash = await api.rpc.chain.getBlockHash(blockNum - 1);
+            const apiAt = await api.at(parentHash);
+            const currentSetId = (await apiAt.query.grandpa.currentSetId()).toNumber();
+            if (sets.has(currentSetId)) return { setId: currentSetId, authorities: sets.get(currentSetId) };
+            const keys = (await apiAt.call.grandpaApi.grandpaAuthorities()).map(([id]) => id.toHex());
+            const unknown = keys.filter(key => !owners.has(key));
+            if (unknown.length) {
+                const owned = await apiAt.query.session.keyOwner.multi(unknown.map(key => ['gran', key]));
+                owned.forEach((owner, i) => owners.set(unknown[i], owner.isSome ? owner.unwrap().toString() : null));
+            }
+            return { setId: currentSetId, authorities: keys };
+        }, 'grandpaApi.grandpaAuthorities');
+        sets.set(setId, authorities);
+        const validatorOf = key => owners.get(key) || key;
+        rounds.push({
+            blockNum,
+            round: justification.round,
+            setId,
+            authorities: authorities.map(validatorOf),
+            signers: justification.signers.map(validatorOf)
+        });
+    }
+    return rounds;
+}
+
+// Format output (--grandpa participation report)
+function formatGrandpaOutput(report, format, options = {}) {
+    const { validatorToNode } = options;
+    const rows = Object.entries(report.validators)
+        .filter(([validator]) => !validatorToNode || validatorToNode[validator])
+        .sort((a, b) => a[1].participation - b[1].participation || b[1].missed - a[1].missed);
+    const who = validator => validatorToNode ? validatorToNode[validator] : validator;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                summary: report.summary,
+                validators: Object.fromEntries(rows.map(([validator, data]) =>
+                    [validator, validatorToNode ? { node: validatorToNode[validator], ...data } : data]))
+            }, null, 2);
+
+        case 'csv': {
+            const header = `${validatorToNode ? 'Node,' : ''}Validator,Rounds,Signed,Missed,Participation,Last Missed Block\n`;
+            const csvRows = rows.map(([validator, d]) =>
+                `${validatorToNode ? `"${validatorToNode[validator]}",` : ''}"${validator}",${d.rounds},${d.signed},${d.missed},${(d.participation * 100).toFixed(2)}%,${d.lastMissedBlock ?? ''}`
+            ).join('\n');
+            return header + csvRows;
+        }
+        case 'table':
+        default: {
+            const { summary } = report;
+            console.log('\n🗳️ GRANDPA Precommit Participation:');
+            console.log('='.repeat(100));
+            console.log(`${(validatorToNode ? 'Node' : 'Validator').padEnd(50)} ${'Rounds'.padStart(7)} ${'Signed'.padStart(7)} ${'Missed'.padStart(7)} ${'Rate'.padStart(8)} ${'Last Miss'.padStart(12)}`);
+            console.log('-'.repeat(100));
+            rows.forEach(([validator, d]) => {
+                const name = who(validator);
+                const shortName = name.length > 47 ? name.substring(0, 47) + '...' : name;
+                console.log(`${shortName.padEnd(50)} ${String(d.rounds).padStart(7)} ${String(d.signed).padStart(7)} ${String(d.missed).padStart(7)} ${(d.participation * 100).toFixed(2).padStart(7)}% ${String(d.lastMissedBlock ?? '-').padStart(12)}`);
+            });
+            console.log('-'.repeat(100));
+            if (!summary.rounds) {
+                console.log('⚠️ No GRANDPA justifications found in the range (nodes keep them only for set changes and every justification period)');
+            } else {
+                console.log(`${summary.rounds} justifications (blocks ${summary.firstBlock}..${summary.lastBlock}, set ids ${summary.setIds.join(', ')}), overall participation ${(summary.participation * 100).toFixed(2)}%`);
+            }
+            if (summary.unknownSigners) {
+                console.log(`⚠️ ${summary.unknownSigners} precommits were signed by keys outside the authority set`);
+            }
+            return '';
+        }
+    }
+}
+
+// Active parachain validators and backing groups of each session seen in the block log, read at
+// the parent of its first block like the session itself (the state the inherent was checked against).
+// Para validator keys (paraShared.activeValidatorKeys) are mapped to stashes via session.keyOwner.
+async function loadParaSessions(pool, blockLog) {
+    const sessions = new Map();
+    for (const { blockNum, parentHash, session, paras } of blockLog) {
+        if (!paras || session === null || sessions.has(session)) continue;
+        const info = await pool.call(async (api) => {
+            const apiAt = await api.at(parentHash || (await api.rpc.chain.getBlockHash(blockNum - 1)).toHex());
+            const [keys, groups] = await Promise.all([
+                apiAt.query.paraShared.activeValidatorKeys(),
+                apiAt.query.paraScheduler.validatorGroups()
+            ]);
+            const owners = await apiAt.query.session.keyOwner.multi(keys.map(key => ['para', key.toHex()]));
+            return {
+                validators: owners.map((owner, i) => owner.isSome ? owner.unwrap().toString() : keys[i].toHex()),
+                groups: groups.map(group => group.map(index => index.toNumber()))
+            };
+        }, 'paraShared.activeValidatorKeys');
+        sessions.set(session, info);
+    }
+    return sessions;
+}
+
+// Format output (--paras backing / availability report)
+function formatParaOutput(report, format, options = {}) {
+    const { validatorToNode } = options;
+    const rows = Object.entries(report.validators)
+        .filter(([validator]) => !validatorToNode || validatorToNode[validator])
+        .sort((a, b) => a[1].availabilityRate - b[1].availabilityRate || b[1].backingVotes - a[1].backingVotes);
+    const who = validator => validatorToNode ? validatorToNode[validator] : validator;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                summary: report.summary,
+                validators: Object.fromEntries(rows.map(([validator, data]) =>
+                    [validator, validatorToNode ? { node: validatorToNode[validator], ...data } : data]))
+            }, null, 2);
+
+        case 'csv': {
+            const header = `${validatorToNode ? 'Node,' : ''}Validator,Bitfields,Expected Bitfields,Availability Rate,Cores Attested,Backing Votes,Backed Included,Backed Timed Out\n`;
+            const csvRows = rows.map(([validator, d]) =>
+                `${validatorToNode ? `"${validatorToNode[validator]}",` : ''}"${validator}",${d.bitfields},${d.expectedBitfields},${(d.availabilityRate * 100).toFixed(2)}%,${d.coresAttested},${d.backingVotes},${d.backedIncluded},${d.backedTimedOut}`
+            ).join('\n');
+            return header + csvRows;
+        }
+        case 'table':
+        default: {
+            const { summary } = report;
+            console.log('\n🪂 Parachain Backing and Availability:');
+            console.log('='.repeat(115));
+            console.log(`${(validatorToNode ? 'Node' : 'Validator').padEnd(50)} ${'Bitfields'.padStart(10)} ${'Avail %'.padStart(8)} ${'Cores'.padStart(8)} ${'Backing'.padStart(8)} ${'Included'.padStart(9)} ${'TimedOut'.padStart(9)}`);
+            console.log('-'.repeat(115));
+            rows.forEach(([validator, d]) => {
+                const name = who(validator);
+                const shortName = name.length > 47 ? name.substring(0, 47) + '...' : name;
+                console.log(`${shortName.padEnd(50)} ${`${d.bitfields}/${d.expectedBitfields}`.padStart(10)} ${(d.availabilityRate * 100).toFixed(2).padStart(7)}% ${String(d.coresAttested).padStart(8)} ${String(d.backingVotes).padStart(8)} ${String(d.backedIncluded).padStart(9)} ${String(d.backedTimedOut).padStart(9)}`);
+            });
+            console.log('-'.repeat(115));
+            if (!summary.blocks) {
+                console.log('⚠️ No paraInherent data found in the range (not a relay chain?)');
+            } else {
+                console.log(`${summary.blocks} blocks: ${summary.candidatesBacked} candidates backed, ${summary.candidatesIncluded} included, ${summary.candidatesTimedOut} timed out`);
+            }
+            return '';
+        }
+    }
+}
+
+// Format output (--slots report)
+function formatSlotOutput(report, format, options = {}) {
+    const { validatorToNode } = options;
+    const rows = Object.entries(report.validators)
+        .filter(([validator]) => !validatorToNode || validatorToNode[validator])
+        .sort((a, b) => b[1].missedRate - a[1].missedRate || b[1].blocks - a[1].blocks);
+    const who = validator => validatorToNode ? validatorToNode[validator] : validator;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                summary: report.summary,
+                largestGaps: report.largestGaps,
+                validators: Object.fromEntries(rows.map(([validator, data]) =>
+                    [validator, validatorToNode ? { node: validatorToNode[validator], ...data } : data]))
+            }, null, 2);
+
+        case 'csv': {
+            const header = `${validatorToNode ? 'Node,' : ''}Validator,Blocks,Primary,Secondary Plain,Secondary VRF,Secondary Slots,Missed Slots,Missed Rate\n`;
+            const csvRows = rows.map(([validator, d]) =>
+                `${validatorToNode ? `"${validatorToNode[validator]}",` : ''}"${validator}",${d.blocks},${d.primary},${d.secondaryPlain},${d.secondaryVRF},${d.secondarySlots},${d.missedSlots},${(d.missedRate * 100).toFixed(2)}%`
+            ).join('\n');
+            return header + csvRows;
+        }
+        case 'table':
+        default: {
+            const { summary } = report;
+            console.log('\n🎰 BABE Slot Statistics:');
+            console.log('='.repeat(110));
+            console.log(`${(validatorToNode ? 'Node' : 'Validator').padEnd(50)} ${'Blocks'.padStart(7)} ${'Primary'.padStart(8)} ${'SecPlain'.padStart(8)} ${'SecVRF'.padStart(7)} ${'SecSlots'.padStart(8)} ${'Missed'.padStart(7)} ${'Rate'.padStart(8)}`);
+            console.log('-'.repeat(110));
+            rows.forEach(([validator, d]) => {
+                const name = who(validator);
+                const shortName = name.length > 47 ? name.substring(0, 47) + '...' : name;
+                console.log(`${shortName.padEnd(50)} ${String(d.blocks).padStart(7)} ${String(d.primary).padStart(8)} ${String(d.secondaryPlain).padStart(8)} ${String(d.secondaryVRF).padStart(7)} ${String(d.secondarySlots).padStart(8)} ${String(d.missedSlots).padStart(7)} ${(d.missedRate * 100).toFixed(2).padStart(7)}%`);
+            });
+            console.log('-'.repeat(110));
+            console.log(`Slots ${summary.firstSlot}..${summary.lastSlot}: ${summary.totalSlots} slots, ${summary.blocksWithSlot} blocks, ${summary.emptySlots} empty (${(summary.emptyRate * 100).toFixed(2)}%)`);
+            if (summary.unknownSlots) {
+                console.log(`⚠️ ${summary.unknownSlots} slots around blocks that failed to fetch are unknown (not counted as empty or missed)`);
+            }
+            if (summary.unattributedEmptySlots) {
+                console.log(`⚠️ ${summary.unattributedEmptySlots} empty slots could not be attributed (secondary slots disabled)`);
+            }
+            if (summary.secondaryMismatches) {
+                console.log(`⚠️ ${summary.secondaryMismatches} secondary claims did not match the computed secondary author`);
+            }
+            if (report.largestGaps.length) {
+                console.log('Largest gaps: ' + report.largestGaps.map(g => `after #${g.afterBlock} (${g.emptySlots} slots)`).join(', '));
+            }
+            return '';
+        }
+    }
+}
+
+// timestamp.now at the parent's state for blocks whose predecessor isn't in blockLog (the first block
+// of the range, blocks after a failed fetch), so their block time can still be measured.
+// blockNum -> parent timestamp; genesis and parents that can't be read are left out.
+async function loadParentTimestamps(pool, blockLog) {
+    const timestamps = new Map();
+    for (let i = 0; i < blockLog.length; i++) {
+        const { blockNum, hash, timestamp } = blockLog[i];
+        const prev = blockLog[i - 1];
+        if (!timestamp || blockNum === 0 || (prev && prev.blockNum === blockNum - 1 && prev.timestamp)) continue;
+        try {
+            const parentTimestamp = await pool.call(async (api) => {
+                const parentHash = hash
+                    ? (await api.rpc.chain.getHeader(hash)).parentHash
+                    : await api.rpc.chain.getBlockHash(blockNum - 1);
+                return (await (await api.at(parentHash)).query.timestamp.now()).toNumber();
+            }, 'timestamp.now');
+            if (parentTimestamp) timestamps.set(blockNum, parentTimestamp);
+        } catch (err) {
+            if (argv.verbose) console.log(`\n⚠️ Could not read the parent timestamp of block ${blockNum}: ${err.message}`);
+        }
+    }
+    return timestamps;
+}
+
+// Format output (--quality per-author aggregates)
+function formatQualityOutput(quality, format, options = {}) {
+    const { validatorToNode } = options;
+    const rows = Object.entries(quality)
+        .filter(([validator]) => !validatorToNode || validatorToNode[validator])
+        .sort((a, b) => b[1].blocks - a[1].blocks);
+    const name = validator => validatorToNode ? validatorToNode[validator] : validator;
+    const fmt = value => value === null ? '-' : String(value);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(Object.fromEntries(rows.map(([validator, data]) =>
+                [validator, validatorToNode ? { node: validatorToNode[validator], ...data } : data])), null, 2);
+
+        case 'csv': {
+            const header = `${validatorToNode ? 'Node,' : ''}Validator,Blocks,Empty Blocks,` +
+                Object.keys(QUALITY_METRICS).flatMap(m => ['Min', 'Avg', 'P95', 'Max'].map(agg => `${m} ${agg}`)).join(',') + '\n';
+            return header + rows.map(([validator, data]) =>
+                `${validatorToNode ? `"${validatorToNode[validator]}",` : ''}"${validator}",${data.blocks},${data.emptyBlocks},` +
+                Object.keys(QUALITY_METRICS).flatMap(m => ['min', 'avg', 'p95', 'max'].map(agg => data[m][agg] ?? '')).join(',')
+            ).join('\n');
+        }
+        case 'table':
+        default: {
+            console.log('\n🧱 Block Quality per Author (min / avg / p95 / max):');
+            for (const [metric, title] of Object.entries(QUALITY_METRICS)) {
+                console.log(`\n${title}`);
+                console.log('='.repeat(100));
+                console.log(`${(validatorToNode ? 'Node' : 'Validator').padEnd(40)} ${'Blocks'.padStart(7)} ${'Empty'.padStart(6)} ${'Min'.padStart(10)} ${'Avg'.padStart(12)} ${'P95'.padStart(10)} ${'Max'.padStart(10)}`);
+                console.log('-'.repeat(100));
+                rows.forEach(([validator, data]) => {
+                    const label = name(validator);
+                    const shortLabel = label.length > 37 ? label.substring(0, 37) + '...' : label;
+                    const { min, avg, p95, max } = data[metric];
+                    console.log(`${shortLabel.padEnd(40)} ${String(data.blocks).padStart(7)} ${String(data.emptyBlocks).padStart(6)} ${fmt(min).padStart(10)} ${fmt(avg).padStart(12)} ${fmt(p95).padStart(10)} ${fmt(max).padStart(10)}`);
+                });
+            }
+            console.log('-'.repeat(100));
+            console.log('Empty = blocks without signed extrinsics');
+            return '';
+        }
+    }
+}
+
+// Derive a sibling file name for an extra report: result.json -> result.slots.json
+function siblingFile(file, suffix) {
+    const dot = file.lastIndexOf('.');
+    return dot > file.lastIndexOf('/') ? `${file.slice(0, dot)}.${suffix}${file.slice(dot)}` : `${file}.${suffix}`;
+}
+
+// Format output (--forks orphaned blocks per author)
+function formatForkOutput(forkStats, validatorStats, format, options = {}) {
+    const { validatorToNode } = options;
+    const rows = Object.entries(forkStats)
+        .filter(([validator]) => !validatorToNode || validatorToNode[validator])
+        .map(([validator, { orphaned }]) => {
+            const finalized = validatorStats[validator]?.blockCount || 0;
+            const forkRate = orphaned + finalized === 0 ? 0 : orphaned / (orphaned + finalized);
+            return { validator, node: validatorToNode ? validatorToNode[validator] : undefined, orphaned, finalized, forkRate };
+        })
+        .sort((a, b) => b.orphaned - a.orphaned);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(rows, null, 2);
+        case 'csv': {
+            const header = `${validatorToNode ? 'Node,' : ''}Validator,Orphaned,Finalized,Fork Rate\n`;
+            return header + rows.map(r =>
+                `${validatorToNode ? `"${r.node}",` : ''}"${r.validator}",${r.orphaned},${r.finalized},${(r.forkRate * 100).toFixed(2)}%`
+            ).join('\n');
+        }
+        case 'table':
+        default: {
+            console.log('\n🍴 Orphaned Blocks (authored but never finalized):');
+            console.log('='.repeat(80));
+            console.log(`${(validatorToNode ? 'Node' : 'Validator').padEnd(50)} ${'Orphaned'.padStart(8)} ${'Final'.padStart(8)} ${'Rate'.padStart(9)}`);
+            console.log('-'.repeat(80));
+            rows.forEach(r => {
+                const name = r.node || r.validator;
+                const shortName = name.length > 47 ? name.substring(0, 47) + '...' : name;
+                console.log(`${shortName.padEnd(50)} ${String(r.orphaned).padStart(8)} ${String(r.finalized).padStart(8)} ${(r.forkRate * 100).toFixed(2).padStart(8)}%`);
+            });
+            console.log('-'.repeat(80));
+            console.log(`Total orphaned: ${rows.reduce((sum, r) => sum + r.orphaned, 0)}`);
+            return '';
+        }
+    }
+}
+
+// Build nodeStats from node mapping (always list all nodes, even zero)
+function buildNodeStats(validatorStats, nodeMapping) {
+    const nodeStats = {}; // nodeName -> { validator, blockCount }
+    nodeMapping.nodesMeta.forEach(({ name, validator }) => {
+        const count = validatorStats[validator]?.blockCount || 0;
+        nodeStats[name] = { validator, blockCount: count };
+    });
+    return nodeStats;
+}
+
+// Per-block fields kept out of checkpoints (justifications, para inclusions): large, and in the block cache anyway
+const CHECKPOINT_OMITTED_FIELDS = ['justification', 'paras'];
+
+function omitFields(entry, fields) {
+    const copy = { ...entry };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+}
+
+// Per-block fields the enabled reports need (one marker field per option; the others of the option are
+// fetched along with it). Cache and checkpoint entries written by runs without these options lack them.
+function requiredBlockFields() {
+    return [
+        ...(argv.slots ? ['slot'] : []),
+        ...(argv.quality ? ['timestamp', 'weight'] : []),
+        ...(argv.grandpa ? ['justification'] : []),
+        ...(argv.paras ? ['paras', 'session', 'parentHash'] : [])
+    ];
+}
+
+// blockLog of an interrupted run: its checkpointed records, with the omitted fields taken back from
+// the block cache. null when a record is missing or lacks a field the current options need, e.g. the
+// run was started without --quality (the run starts over).
+function restoreCheckpointBlocks(cache, key, checkpoint) {
+    const entries = cache.loadCheckpointBlocks(key, checkpoint.nextBlock);
+    if (entries.length !== checkpoint.nextBlock - checkpoint.startBlock) return null;
+    const required = requiredBlockFields();
+    const omitted = required.filter(field => CHECKPOINT_OMITTED_FIELDS.includes(field));
+    const failed = new Set(checkpoint.failedBlocks || []);
+    for (const entry of entries) {
+        if (failed.has(entry.blockNum)) continue;
+        if (omitted.length) {
+            const cached = argv.cache ? cache.get(entry.blockNum) : null;
+            if (!cached || !omitted.every(field => field in cached)) return null;
+            omitted.forEach(field => { entry[field] = cached[field]; });
+        }
+        if (!required.every(field => field in entry)) return null;
+    }
+    return entries;
+}
+
+// Fetch blocks [from, to] in batches and fold them into state
+//   state: { validatorStats, blockLog, processedBlocks, cacheHits, failedBlocks, hashes? (blockNum -> canonical hash, --forks) }
+//   options.strict: throw on the first failed block of a batch instead of counting it as "Unknown"
+//   options.onBatch(batchEnd): called after each batch has been applied
+async function scanBlocks(pool, cache, from, to, state, options = {}) {
+    const { finalizedNumber, strict = false, onBatch } = options;
+    // cache entries lacking them are fetched again
+    const requiredFields = requiredBlockFields();
+
+    // Batch processing using derive getBlockByNumber (already includes author extraction)
+    for (let i = from; i <= to; i += argv.batchSize) {
+        const batchEnd = Math.min(i + argv.batchSize - 1, to);
+        const batchPromises = [];
+
+        for (let blockNum = i; blockNum <= batchEnd; blockNum++) {
+            const cached = argv.cache ? cache.get(blockNum) : null;
+            if (cached && requiredFields.every(field => field in cached)) {
+                state.cacheHits++;
+                batchPromises.push(Promise.resolve({ blockNum, ...cached, cached: true }));
+                continue;
+            }
+            // the pool retries on every endpoint first; a block only becomes "Unknown" when all of them failed
+            batchPromises.push(
+                pool.call(api => fetchBlockInfo(api, blockNum, { quality: argv.quality, grandpa: argv.grandpa, paras: argv.paras }), 'chain.getBlockByNumber')
+                    .catch(err => ({ blockNum, author: 'Unknown', error: err }))
+            );
+        }
+
+        const batchResults = await Promise.all(batchPromises);
+
+        const failed = batchResults.find(r => r.error);
+        if (strict && failed) {
+            throw new Error(`Failed to derive block ${failed.blockNum}: ${failed.error.message}`);
+        }
+
+        for (const result of batchResults) {
+            const { blockNum, hash, author, error, cached, ...details } = result;
+            if (state.hashes && hash) {
+                state.hashes.set(blockNum, hash);
+            }
+            if (state.blockLog) {
+                state.blockLog.push({ blockNum, hash: hash || null, author, ...details });
+            }
+            if (error) {
+                state.failedBlocks.push(blockNum);
+                if (argv.verbose) {
+                    console.log(`\n⚠️ Failed to derive block ${blockNum} on every endpoint: ${error.message}`);
+                }
+            }
+
+            if (!state.validatorStats[author]) {
+                state.validatorStats[author] = { blockCount: 0 };
+            }
+            state.validatorStats[author].blockCount++;
+            state.processedBlocks++;
+
+            if (argv.verbose && state.processedBlocks % 10 === 0) {
+                console.log(`\nProcessing block ${blockNum}, validator: ${author.substring(0, 20)}...`);
+            }
+        }
+
+        if (argv.cache) {
+            cache.append(batchResults
+                .filter(r => !r.error && !r.cached && r.hash && r.author !== 'Unknown' && r.blockNum <= finalizedNumber)
+                .map(({ error, cached, ...entry }) => entry));
+        }
+
+        if (onBatch) {
+            onBatch(batchEnd);
+        }
+    }
+}
+
+// Metric families for --metrics-port. In role mode only mapped nodes are exported (zero-filled), labelled with node name.
+function buildFollowMetrics({ validatorStats, forkStats, nodeMapping, endpoints, bestNumber, finalizedNumber, lastProcessed }) {
+    const perAuthor = (stats, field) => {
+        if (nodeMapping) {
+            return nodeMapping.nodesMeta.map(({ name, validator }) => ({
+                labels: { validator, node: name },
+                value: stats[validator]?.[field] || 0
+            }));
+        }
+        return Object.entries(stats).map(([validator, data]) => ({ labels: { validator }, value: data[field] }));
+    };
+
+    const families = [
+        {
+            name: 'polka_blocks_authored_total',
+            help: 'Finalized blocks authored since the collector started following',
+            type: 'counter',
+            samples: perAuthor(validatorStats, 'blockCount')
+        },
+        {
+            name: 'polka_best_block_height',
+            help: 'Best (head) block number',
+            type: 'gauge',
+            samples: bestNumber === null ? [] : [{ value: bestNumber }]
+        },
+        {
+            name: 'polka_finalized_block_height',
+            help: 'GRANDPA finalized block number',
+            type: 'gauge',
+            samples: [{ value: finalizedNumber }]
+        },
+        {
+            name: 'polka_finality_lag_blocks',
+            help: 'Best block number minus finalized block number',
+            type: 'gauge',
+            samples: bestNumber === null ? [] : [{ value: bestNumber - finalizedNumber }]
+        },
+        {
+            name: 'polka_collector_processed_block_height',
+            help: 'Last finalized block counted by the collector',
+            type: 'gauge',
+            samples: [{ value: lastProcessed }]
+        },
+        {
+            name: 'polka_collector_rpc_errors_total',
+            help: 'Failed RPC calls made by the collector, by endpoint and method',
+            type: 'counter',
+            samples: Object.entries(rpcErrors).flatMap(([endpoint, methods]) =>
+                Object.entries(methods).map(([method, value]) => ({ labels: { endpoint, method }, value })))
+        },
+        {
+            name: 'polka_collector_endpoint_up',
+            help: 'Whether the collector is connected to the RPC endpoint',
+            type: 'gauge',
+            samples: endpoints.map(({ endpoint, connected }) => ({ labels: { endpoint }, value: connected ? 1 : 0 }))
+        }
+    ];
+    if (forkStats) {
+        families.push({
+            name: 'polka_blocks_orphaned_total',
+            help: 'Blocks authored on branches that were never finalized',
+            type: 'counter',
+            samples: perAuthor(forkStats, 'orphaned')
+        });
+    }
+    return families;
+}
+
+// --follow: keep counting as blocks finalize, redrawing / appending snapshots every interval.
+// Progress is tracked by block number, so catching up after a reconnect neither skips nor repeats blocks.
+async function followFinalized(pool, cache, nodeMapping, startBlock) {
+    const api = pool.api; // subscriptions live on the primary endpoint; block fetches go through the pool
+    const state = { validatorStats: {}, blockLog: null, processedBlocks: 0, cacheHits: 0, failedBlocks: [], hashes: argv.forks ? new Map() : null };
+    const seenHeads = new Map(); // --forks: blockNum -> Map(hash -> author) of every imported head
+    const forkStats = {}; // --forks: author -> { orphaned }
+    let lastProcessed = startBlock - 1;
+    let target = lastProcessed;
+    let bestNumber = null;
+    let busy = false;
+    let lastError = null;
+
+    // Any imported head at a finalized height that is not the canonical block was orphaned
+    const resolveForks = async () => {
+        for (const [number, heads] of seenHeads) {
+            if (number > lastProcessed) continue;
+            const canonical = state.hashes.get(number) ||
+                await pool.call(async (api) => (await api.rpc.chain.getBlockHash(number)).toHex(), 'chain.getBlockHash');
+            heads.forEach((author, hash) => {
+                if (hash === canonical) return;
+                if (!forkStats[author]) forkStats[author] = { orphaned: 0 };
+                forkStats[author].orphaned++;
+                if (argv.verbose) {
+                    console.log(`\n🍴 Orphaned block #${number} ${hash} by ${author}`);
+                }
+            });
+            seenHeads.delete(number);
+        }
+        for (const number of state.hashes.keys()) {
+            if (number <= lastProcessed) state.hashes.delete(number);
+        }
+    };
+
+    const catchUp = async () => {
+        if (busy) return;
+        busy = true;
+        try {
+            while (target > lastProcessed) {
+                await scanBlocks(pool, cache, lastProcessed + 1, target, state, {
+                    finalizedNumber: target,
+                    strict: true,
+                    onBatch: (batchEnd) => { lastProcessed = batchEnd; }
+                });
+            }
+            if (argv.forks) {
+                await resolveForks();
+            }
+            lastError = null;
+        } catch (error) {
+            // keep lastProcessed where it is; the next finalized head or poll retries from there
+            lastError = error;
+            if (argv.verbose) {
+                console.log(`\n⚠️ Catch-up paused at block ${lastProcessed}: ${error.message}`);
+            }
+        } finally {
+            busy = false;
+        }
+        // heads that arrived while busy (e.g. during resolveForks) were not picked up by the loop above
+        if (!lastError && target > lastProcessed) {
+            catchUp();
+        }
+    };
+
+    const onHead = (number) => {
+        if (number > target) target = number;
+        catchUp();
+    };
+
+    const render = () => {
+        const nodeStats = nodeMapping ? buildNodeStats(state.validatorStats, nodeMapping) : null;
+        if (argv.snapshotFile) {
+            fs.appendFileSync(argv.snapshotFile, JSON.stringify({
+                timestamp: new Date().toISOString(),
+                startBlock,
+                lastBlock: lastProcessed,
+                totalBlocks: state.processedBlocks,
+                ...(nodeStats ? { nodes: nodeStats } : { validators: state.validatorStats }),
+                ...(argv.forks ? { orphaned: forkStats } : {})
+            }) + '\n');
+        }
+        if (argv.output === 'table' && process.stdout.isTTY) {
+            console.clear();
+        }
+        const lag = bestNumber === null ? '?' : bestNumber - target;
+        console.log(`🔭 Following finalized blocks ${startBlock}..${lastProcessed} (finalized head ${target}, best ${bestNumber ?? '?'}, lag ${lag}), updated ${new Date().toISOString()}`);
+        if (lastError) {
+            console.log(`⚠️ Waiting to retry: ${lastError.message}`);
+        }
+        const outputData = nodeStats
+            ? formatNodeOutput(nodeStats, argv.output)
+            : formatValidatorOutput(state.validatorStats, argv.output, { sortBy: argv.sortBy });
+        if (outputData) {
+            console.log(outputData);
+        }
+        const forkOptions = { validatorToNode: nodeMapping ? nodeMapping.validatorToNode : null };
+        if (argv.forks) {
+            const forkOutput = formatForkOutput(forkStats, state.validatorStats, argv.output, forkOptions);
+            if (forkOutput) {
+                console.log(forkOutput);
+            }
+        }
+        if (argv.saveTo) {
+            const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+            fs.writeFileSync(argv.saveTo, nodeStats
+                ? formatNodeOutput(nodeStats, saveFmt)
+                : formatValidatorOutput(state.validatorStats, saveFmt, { sortBy: argv.sortBy }));
+            if (argv.forks) {
+                fs.writeFileSync(siblingFile(argv.saveTo, 'forks'), formatForkOutput(forkStats, state.validatorStats, saveFmt, forkOptions));
+            }
+        }
+    };
+
+    pool.onProvider('disconnected', (endpoint) => console.log(`\n🔌 Connection to ${endpoint} lost, waiting for reconnect...`));
+    pool.onProvider('connected', (endpoint) => {
+        console.log(`\n🔗 Reconnected to ${endpoint}, resuming from block`, lastProcessed + 1);
+        catchUp();
+    });
+
+    const unsubscribe = await api.rpc.chain.subscribeFinalizedHeads(header => onHead(header.number.toNumber()));
+
+    // --forks: record the author of every imported head, including ones on side branches
+    const unsubscribeAll = argv.forks
+        ? await api.rpc.chain.subscribeAllHeads(async (header) => {
+            const number = header.number.toNumber();
+            const hash = header.hash.toHex();
+            let author = 'Unknown';
+            try {
+                const extended = await awaitDerive(api.derive.chain.getHeader(hash));
+                author = extended?.author?.toString() || 'Unknown';
+            } catch {
+                // header already pruned
+                countRpcError('chain.getHeader', pool.endpoint);
+            }
+            if (!seenHeads.has(number)) seenHeads.set(number, new Map());
+            seenHeads.get(number).set(hash, author);
+        })
+        : null;
+
+    // Poll as well, in case the subscription silently dies across a reconnect
+    const poll = setInterval(async () => {
+        try {
+            onHead(await pool.call(async (api) => {
+                const hash = await api.rpc.chain.getFinalizedHead();
+                return (await api.rpc.chain.getHeader(hash)).number.toNumber();
+            }, 'chain.getFinalizedHead'));
+        } catch {
+            // every endpoint offline; the providers keep reconnecting
+        }
+    }, argv.followInterval * 1000);
+    const redraw = setInterval(render, argv.followInterval * 1000);
+
+    const unsubscribeBest = await api.rpc.chain.subscribeNewHeads(header => {
+        bestNumber = header.number.toNumber();
+    });
+
+    let metricsServer = null;
+    if (argv.metricsPort !== undefined) {
+        metricsServer = await startMetricsServer({
+            port: argv.metricsPort,
+            host: argv.metricsHost,
+            collect: () => buildFollowMetrics({
+                validatorStats: state.validatorStats,
+                forkStats: argv.forks ? forkStats : null,
+                nodeMapping,
+                endpoints: pool.stats(),
+                bestNumber,
+                finalizedNumber: target,
+                lastProcessed
+            })
+        });
+        console.log(`📈 Prometheus metrics on http://${argv.metricsHost}:${argv.metricsPort}/metrics`);
+    }
+
+    console.log(`🔭 Following finalized heads from block ${startBlock} (refresh every ${argv.followInterval}s, Ctrl+C to stop)`);
+
+    await new Promise(resolve => {
+        onInterrupt = async () => {
+            clearInterval(poll);
+            clearInterval(redraw);
+            try { unsubscribe(); } catch {}
+            try { unsubscribeAll?.(); } catch {}
+            try { unsubscribeBest(); } catch {}
+            metricsServer?.close();
+            render();
+            resolve();
+        };
+    });
+}
+
 async function main() {
-    let api = null;
+    let pool = null;
 
     try {
         const roleMode = !!argv.role;
 
-        console.log('🔗 Connecting to network:', argv.endpoint);
-        const provider = new WsProvider(argv.endpoint);
-        api = await ApiPromise.create({ provider });
+        const endpoints = [].concat(argv.endpoint).flatMap(e => e.split(',')).map(e => e.trim()).filter(Boolean);
+        console.log('🔗 Connecting to network:', endpoints.join(', '));
+        pool = await new RpcPool(endpoints, {
+            timeout: argv.rpcTimeout,
+            retries: argv.retries,
+            backoff: argv.retryBackoff,
+            // stderr, so a report piped from stdout stays parseable
+            log: (message) => console.error(message),
+            onError: (method, endpoint, error) => {
+                countRpcError(method, endpoint);
+                if (argv.verbose) {
+                    console.log(`\n⚠️ ${method} failed on ${endpoint}: ${error.message}`);
+                }
+            }
+        }).connect();
+        const api = pool.api;
         console.log('✅ Connection successful');
 
         // Load legacy role mapping only if not in role mode
@@ -231,88 +1332,168 @@ async function main() {
         const version = await api.rpc.system.version();
         console.log(`📋 Chain: ${chain}, Version: ${version}`);
 
-        // Determine end block number
-        let endBlock = argv.endBlock;
-        if (!endBlock) {
-            const latestHeader = await api.rpc.chain.getHeader();
-            endBlock = latestHeader.number.toNumber();
-            console.log(`🎯 Using latest block as end block: ${endBlock}`);
+        // Open block cache for this chain (also holds checkpoints)
+        const cache = new BlockCache(argv.cacheDir, api.genesisHash.toHex());
+        if (argv.cache) {
+            const cachedCount = cache.load();
+            console.log(`🗄️ Block cache: ${cachedCount} blocks in ${cache.dir}`);
         }
 
-        if (argv.startBlock > endBlock) {
-            throw new Error('Start block number cannot be greater than end block number');
-        }
+        // Only finalized blocks are written to the cache; anything above may still be reorged
+        const finalizedHash = await api.rpc.chain.getFinalizedHead();
+        const finalizedNumber = (await api.rpc.chain.getHeader(finalizedHash)).number.toNumber();
 
-        let totalBlocks = endBlock - argv.startBlock + 1;
-        console.log(`🔍 Querying block range: ${argv.startBlock} to ${endBlock} (total ${totalBlocks} blocks)`);
+        // Wall-clock bounds are resolved by bisecting timestamp.now over historical blocks
+        let startBlock = argv.startBlock;
+        let requestedEndBlock = argv.endBlock;
+        let range = null;
+        if (argv.fromTime !== undefined || argv.toTime !== undefined) {
+            range = await resolveTimeRange(pool, argv.fromTime, argv.toTime, finalizedNumber);
+            startBlock = range.startBlock ?? startBlock;
+            requestedEndBlock = range.endBlock ?? requestedEndBlock;
+            console.log(`🕒 Time range ${range.fromTime ?? '-'} .. ${range.toTime ?? 'now'} -> blocks ${startBlock} .. ${requestedEndBlock ?? 'head'}`);
+        }
 
-        const validatorStats = {}; // { validator: { blockCount, role? } }
-        let processedBlocks = 0;
+        if (argv.follow) {
+            await followFinalized(pool, cache, nodeMapping, startBlock ?? finalizedNumber + 1);
+            return;
+        }
 
-        // Batch processing using derive getBlockByNumber (already includes author extraction)
-        for (let i = argv.startBlock; i <= endBlock; i += argv.batchSize) {
-            const batchEnd = Math.min(i + argv.batchSize - 1, endBlock);
-            const batchPromises = [];
+        const checkpointKey = `${startBlock}-${requestedEndBlock ?? 'latest'}`;
+        const checkpoint = argv.resume ? cache.loadCheckpoint(checkpointKey) : null;
 
-            for (let blockNum = i; blockNum <= batchEnd; blockNum++) {
-                batchPromises.push(
-                    deriveBlockByNumber(api, blockNum)
-                        .then(extended => ({
-                            blockNum,
-                            author: (extended && extended.author && extended.author.toString()) || 'Unknown'
-                        }))
-                        .catch(err => ({ blockNum, author: 'Unknown', error: err }))
-                );
+        // Determine end block number. Unless --unfinalized, never go past the finalized head: above it
+        // derive may follow a branch that gets reorged.
+        let endBlock = requestedEndBlock;
+        if (!endBlock) {
+            if (argv.unfinalized) {
+                const latestHeader = await api.rpc.chain.getHeader();
+                endBlock = latestHeader.number.toNumber();
+                console.log(`🎯 Using latest block as end block: ${endBlock}`);
+            } else {
+                endBlock = finalizedNumber;
+                console.log(`🎯 Using finalized head as end block: ${endBlock}`);
             }
+        } else if (endBlock > finalizedNumber && !argv.unfinalized) {
+            console.log(`⚠️ End block ${endBlock} is not finalized yet, clamping to finalized head ${finalizedNumber} (use --unfinalized to include it)`);
+            endBlock = finalizedNumber;
+        }
 
-            const batchResults = await Promise.all(batchPromises);
+        if (startBlock > endBlock) {
+            throw new Error('Start block number cannot be greater than end block number');
+        }
 
-            for (const { blockNum, author, error } of batchResults) {
-                if (error && argv.verbose) {
-                    console.log(`\n⚠️ Failed to derive block ${blockNum}: ${error.message}`);
-                }
+        if (range) {
+            range.startBlock = startBlock;
+            range.endBlock = endBlock;
+        }
 
-                if (!validatorStats[author]) {
-                    validatorStats[author] = { blockCount: 0 };
-                }
-                validatorStats[author].blockCount++;
-                processedBlocks++;
+        let totalBlocks = endBlock - startBlock + 1;
+        console.log(`🔍 Querying block range: ${startBlock} to ${endBlock} (total ${totalBlocks} blocks)`);
 
-                if (argv.verbose && processedBlocks % 10 === 0) {
-                    console.log(`\nProcessing block ${blockNum}, validator: ${author.substring(0, 20)}...`);
+        const state = {
+            validatorStats: {}, // { validator: { blockCount, role? } }
+            blockLog: argv.groupBy || argv.slots || argv.quality || argv.grandpa || argv.paras ? [] : null, // per-block records for --group-by and the extra reports
+            processedBlocks: 0,
+            cacheHits: 0,
+            failedBlocks: [] // blocks that failed on every endpoint (counted as "Unknown")
+        };
+        // The checkpoint records the end block its run resolved. A "latest" run resumed later has a
+        // higher end block and simply scans on to it; one that got past the current end (an earlier
+        // --unfinalized run) is not resumed.
+        let firstBlock = startBlock;
+        const resumable = checkpoint && checkpoint.startBlock === startBlock && Number.isInteger(checkpoint.endBlock) &&
+            checkpoint.nextBlock <= endBlock + 1;
+        const checkpointBlocks = resumable && state.blockLog ? restoreCheckpointBlocks(cache, checkpointKey, checkpoint) : null;
+        if (checkpoint && !resumable) {
+            console.log(`⚠️ Ignoring checkpoint ${checkpointKey} (it covers blocks ${checkpoint.startBlock}-${checkpoint.endBlock}, this run ${startBlock}-${endBlock})`);
+        } else if (resumable && state.blockLog && !checkpointBlocks) {
+            console.log(`⚠️ Ignoring checkpoint ${checkpointKey}: its per-block records are incomplete, lack fields these options need or are not in the block cache`);
+        }
+        if (resumable && (!state.blockLog || checkpointBlocks)) {
+            state.validatorStats = checkpoint.stats || {};
+            state.failedBlocks = checkpoint.failedBlocks || [];
+            if (state.blockLog) state.blockLog = checkpointBlocks;
+            firstBlock = checkpoint.nextBlock;
+            state.processedBlocks = firstBlock - startBlock;
+            console.log(`⏯️ Resuming from checkpoint at block ${firstBlock} (${state.processedBlocks}/${totalBlocks} already processed)`);
+            if (checkpoint.endBlock !== endBlock) {
+                console.log(`   End block moved from ${checkpoint.endBlock} to ${endBlock} since the checkpoint was written`);
+            }
+        }
+
+        if (firstBlock === startBlock) {
+            cache.clearCheckpoint(checkpointKey); // don't let a fresh run append to an older run's block records
+        }
+
+        // The per-block records go to an append-only file next to the checkpoint, one batch at a
+        // time and without the bulky fields, which a resumed run takes from the block cache
+        let checkpointedBlocks = state.blockLog?.length ?? 0;
+        await scanBlocks(pool, cache, firstBlock, endBlock, state, {
+            finalizedNumber,
+            onBatch: (batchEnd) => {
+                if (state.blockLog) {
+                    const entries = state.blockLog.slice(checkpointedBlocks).map(entry => omitFields(entry, CHECKPOINT_OMITTED_FIELDS));
+                    cache.appendCheckpointBlocks(checkpointKey, entries);
+                    checkpointedBlocks = state.blockLog.length;
                 }
+                cache.saveCheckpoint(checkpointKey, { startBlock, endBlock, nextBlock: batchEnd + 1, stats: state.validatorStats, failedBlocks: state.failedBlocks });
+                showProgress(state.processedBlocks, totalBlocks, `Processed ${state.processedBlocks}/${totalBlocks} blocks`);
             }
+        });
 
-            showProgress(processedBlocks, totalBlocks, `Processed ${processedBlocks}/${totalBlocks} blocks`);
+        cache.clearCheckpoint(checkpointKey);
+        if (argv.cache) {
+            console.log(`\n♻️ Reused ${state.cacheHits} cached blocks, fetched ${totalBlocks - state.cacheHits} from RPC`);
+        }
+
+        if (endpoints.length > 1) {
+            console.log('\n🌐 Endpoints: ' + pool.stats().map(e => `${e.endpoint} (${e.calls} calls, ${e.failures} failed)`).join(', '));
+        }
+        if (state.failedBlocks.length) {
+            const preview = state.failedBlocks.slice(0, 20).join(', ') + (state.failedBlocks.length > 20 ? ', ...' : '');
+            console.log(`\n⚠️ ${state.failedBlocks.length} blocks failed on every endpoint and are counted as "Unknown": ${preview}`);
         }
 
         console.log('\n✅ Data collection completed');
 
+        const { validatorStats, blockLog } = state;
         let outputData;
-        if (roleMode) {
-            // Build nodeStats from node mapping (always list all nodes, even zero)
-            const nodeStats = {}; // nodeName -> { validator, blockCount }
-            nodeMapping.nodesMeta.forEach(({ name, validator }) => {
-                const count = validatorStats[validator]?.blockCount || 0;
-                nodeStats[name] = { validator, blockCount: count };
-            });
-            outputData = formatNodeOutput(nodeStats, argv.output);
+        if (argv.groupBy) {
+            const indexes = await resolveGroupIndexes(pool, blockLog, argv.groupBy);
+            const nodeValidators = roleMode
+                ? Object.fromEntries(nodeMapping.nodesMeta.map(({ name, validator }) => [name, validator]))
+                : null;
+            const series = roleMode
+                ? buildSeries(blockLog, indexes, author => nodeMapping.validatorToNode[author] ?? null, Object.keys(nodeValidators))
+                : buildSeries(blockLog, indexes, author => author);
+            const seriesOptions = { groupBy: argv.groupBy, sortBy: argv.sortBy, nodeValidators, range };
+            outputData = formatSeriesOutput(series, argv.output, seriesOptions);
             if (argv.saveTo) {
                 const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
-                const saveContent = saveFmt === argv.output ? outputData : formatNodeOutput(nodeStats, saveFmt);
+                fs.writeFileSync(argv.saveTo, formatSeriesOutput(series, saveFmt, seriesOptions));
+                console.log(`💾 Results saved to: ${argv.saveTo}`);
+            }
+        } else if (roleMode) {
+            const nodeStats = buildNodeStats(validatorStats, nodeMapping);
+            outputData = formatNodeOutput(nodeStats, argv.output, { range });
+            if (argv.saveTo) {
+                const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+                const saveContent = saveFmt === argv.output ? outputData : formatNodeOutput(nodeStats, saveFmt, { range });
                 fs.writeFileSync(argv.saveTo, saveContent);
                 console.log(`💾 Results saved to: ${argv.saveTo}`);
             }
         } else {
             outputData = formatValidatorOutput(validatorStats, argv.output, {
                 sortBy: argv.sortBy,
-                minBlocks: argv.minBlocks
+                minBlocks: argv.minBlocks,
+                range
             });
             if (argv.saveTo) {
                 const fileOutput = formatValidatorOutput(validatorStats,
                     argv.saveTo.endsWith('.json') ? 'json' :
                         argv.saveTo.endsWith('.csv') ? 'csv' : argv.output,
-                    { sortBy: argv.sortBy, minBlocks: argv.minBlocks }
+                    { sortBy: argv.sortBy, minBlocks: argv.minBlocks, range }
                 );
                 fs.writeFileSync(argv.saveTo, fileOutput);
                 console.log(`💾 Results saved to: ${argv.saveTo}`);
@@ -323,6 +1504,68 @@ async function main() {
             console.log(outputData);
         }
 
+        if (argv.quality) {
+            const quality = analyzeQuality(blockLog, await loadParentTimestamps(pool, blockLog));
+            const qualityOptions = { validatorToNode: roleMode ? nodeMapping.validatorToNode : null };
+            const qualityOutput = formatQualityOutput(quality, argv.output, qualityOptions);
+            if (qualityOutput) {
+                console.log(qualityOutput);
+            }
+            if (argv.saveTo) {
+                const qualityFile = siblingFile(argv.saveTo, 'quality');
+                const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+                fs.writeFileSync(qualityFile, formatQualityOutput(quality, saveFmt, qualityOptions));
+                console.log(`💾 Quality report saved to: ${qualityFile}`);
+            }
+        }
+
+        if (argv.slots) {
+            const epochIndexes = await resolveGroupIndexes(pool, blockLog, 'epoch');
+            const epochs = await loadEpochs(pool, blockLog, epochIndexes);
+            const report = analyzeSlots(blockLog.map((block, i) => ({ ...block, epoch: epochIndexes[i] })), epochs);
+            const slotOptions = { validatorToNode: roleMode ? nodeMapping.validatorToNode : null };
+            const slotOutput = formatSlotOutput(report, argv.output, slotOptions);
+            if (slotOutput) {
+                console.log(slotOutput);
+            }
+            if (argv.saveTo) {
+                const slotFile = siblingFile(argv.saveTo, 'slots');
+                const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+                fs.writeFileSync(slotFile, formatSlotOutput(report, saveFmt, slotOptions));
+                console.log(`💾 Slot report saved to: ${slotFile}`);
+            }
+        }
+
+        if (argv.grandpa) {
+            const report = analyzeParticipation(await loadGrandpaRounds(pool, blockLog));
+            const grandpaOptions = { validatorToNode: roleMode ? nodeMapping.validatorToNode : null };
+            const grandpaOutput = formatGrandpaOutput(report, argv.output, grandpaOptions);
+            if (grandpaOutput) {
+                console.log(grandpaOutput);
+            }
+            if (argv.saveTo) {
+                const grandpaFile = siblingFile(argv.saveTo, 'grandpa');
+                const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+                fs.writeFileSync(grandpaFile, formatGrandpaOutput(report, saveFmt, grandpaOptions));
+                console.log(`💾 GRANDPA report saved to: ${grandpaFile}`);
+            }
+        }
+
+        if (argv.paras) {
+            const report = analyzeParaStats(blockLog, await loadParaSessions(pool, blockLog));
+            const paraOptions = { validatorToNode: roleMode ? nodeMapping.validatorToNode : null };
+            const paraOutput = formatParaOutput(report, argv.output, paraOptions);
+            if (paraOutput) {
+                console.log(paraOutput);
+            }
+            if (argv.saveTo) {
+                const paraFile = siblingFile(argv.saveTo, 'paras');
+                const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+                fs.writeFileSync(paraFile, formatParaOutput(report, saveFmt, paraOptions));
+                console.log(`💾 Parachain report saved to: ${paraFile}`);
+            }
+        }
+
     } catch (error) {
         console.error('❌ Error:', error.message);
         if (argv.verbose) {
@@ -330,17 +1573,27 @@ async function main() {
         }
         process.exit(1);
     } finally {
-        if (api) {
-            await api.disconnect();
+        if (pool) {
+            await pool.disconnect();
             console.log('🔌 Connection disconnected');
         }
     }
 }
 
-// Graceful exit handling
+// Graceful exit handling. --follow registers a hook that prints a final snapshot and ends the
+// follow loop; main then unwinds and disconnects the pool. A second Ctrl+C, or a cleanup that
+// hangs, exits right away.
+let onInterrupt = null;
+let interrupted = false;
 process.on('SIGINT', async () => {
+    if (interrupted || !onInterrupt) {
+        if (!interrupted) console.log('\n👋 Received interrupt signal, exiting...');
+        process.exit(0);
+    }
+    interrupted = true;
     console.log('\n👋 Received interrupt signal, cleaning up...');
-    process.exit(0);
+    setTimeout(() => process.exit(0), 10000).unref();
+    await onInterrupt();
 });
 
 process.on('unhandledRejection', (reason, promise) => {
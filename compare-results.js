@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+import yargs from 'yargs';
+import {hideBin} from 'yargs/helpers';
+import fs from 'fs';
+
+// Configure command line arguments
+const argv = yargs(hideBin(process.argv))
+    .usage('Usage: $0 <old-result> <new-result> [options]')
+    .command('$0 <old> <new>', 'Compare two collect.js results (JSON or CSV, validator or --role node mode)')
+    .positional('old', {
+        type: 'string',
+        description: 'Baseline result file'
+    })
+    .positional('new', {
+        type: 'string',
+        description: 'Result file to compare against the baseline'
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        choices: ['table', 'json', 'csv'],
+        default: 'table',
+        description: 'Output format'
+    })
+    .option('save-to', {
+        alias: 'f',
+        type: 'string',
+        description: 'Save results to file'
+    })
+    .option('threshold', {
+        alias: 't',
+        type: 'number',
+        default: 20,
+        description: 'Flag entries whose share of blocks dropped by at least this many percent (relative)'
+    })
+    .option('only-flagged', {
+        type: 'boolean',
+        default: false,
+        description: 'Only list entries that appeared, disappeared or dropped'
+    })
+    .help()
+    .alias('help', 'h')
+    .example('$0 result-old.json result-new.json', 'Per-validator/per-node deltas between two runs')
+    .example('$0 a.csv b.csv -t 50 --only-flagged', 'Only show entries that changed notably')
+    .example('$0 a.json b.json -o csv -f diff.csv', 'Save the comparison as CSV')
+    .argv;
+
+// Split one CSV line, honouring the double quotes collect.js puts around names
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (const ch of line) {
+        if (ch === '"') {
+            quoted = !quoted;
+        } else if (ch === ',' && !quoted) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current);
+    return fields;
+}
+
+// "# from_time=a,to_time=b,start_block=1,end_block=2" -> { fromTime, toTime, startBlock, endBlock }
+function parseRangeComment(line) {
+    const fields = Object.fromEntries(line.replace(/^#\s*/, '').split(',').map(pair => pair.split('=')));
+    return {
+        fromTime: fields.from_time || null,
+        toTime: fields.to_time || null,
+        startBlock: Number(fields.start_block),
+        endBlock: Number(fields.end_block)
+    };
+}
+
+// Load a collect.js result -> { mode: 'validator'|'node', entries: { key: { validator, blockCount } }, range }
+function loadResult(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Result file not found: ${filePath}`);
+    }
+    const raw = fs.readFileSync(filePath, 'utf8').trim();
+
+    if (raw.startsWith('{')) {
+        const json = JSON.parse(raw);
+        if (json.buckets) {
+            throw new Error(`${filePath} is a --group-by time series; compare flat results instead`);
+        }
+        const { range, ...rest } = json;
+        const entries = {};
+        let mode = 'validator';
+        Object.entries(rest).forEach(([key, data]) => {
+            if (!data || typeof data.blockCount !== 'number') return;
+            if (data.validator) mode = 'node';
+            entries[key] = { validator: data.validator || key, blockCount: data.blockCount };
+        });
+        return { mode, entries, range: range || null };
+    }
+
+    // CSV: optional "# from_time=...,start_block=..." comment, then a header row
+    const allLines = raw.split(/\r?\n/);
+    const comment = allLines.find(line => line.startsWith('#'));
+    const lines = allLines.filter(line => line && !line.startsWith('#'));
+    const header = splitCsvLine(lines.shift() || '');
+    const mode = header[0] === 'Node' ? 'node' : header[0] === 'Validator' ? 'validator' : null;
+    if (!mode) {
+        throw new Error(`Unrecognised result format in ${filePath}`);
+    }
+    const entries = {};
+    lines.forEach(line => {
+        const fields = splitCsvLine(line);
+        if (mode === 'node') {
+            entries[fields[0]] = { validator: fields[1], blockCount: Number(fields[2]) };
+        } else {
+            entries[fields[0]] = { validator: fields[0], blockCount: Number(fields[1]) };
+        }
+    });
+    return { mode, entries, range: comment ? parseRangeComment(comment) : null };
+}
+
+// Compute per-entry deltas and flags
+function compareResults(oldResult, newResult, threshold) {
+    const total = entries => Object.values(entries).reduce((sum, e) => sum + e.blockCount, 0);
+    const oldTotal = total(oldResult.entries);
+    const newTotal = total(newResult.entries);
+    const share = (count, sum) => sum === 0 ? 0 : (count / sum) * 100;
+
+    const keys = new Set([...Object.keys(oldResult.entries), ...Object.keys(newResult.entries)]);
+    const rows = [...keys].map(key => {
+        const before = oldResult.entries[key];
+        const after = newResult.entries[key];
+        const oldBlocks = before ? before.blockCount : 0;
+        const newBlocks = after ? after.blockCount : 0;
+        const oldShare = share(oldBlocks, oldTotal);
+        const newShare = share(newBlocks, newTotal);
+        const shareChange = oldShare === 0 ? null : ((newShare - oldShare) / oldShare) * 100;
+
+        let status = 'unchanged';
+        if (oldBlocks === 0 && newBlocks > 0) {
+            status = 'appeared';
+        } else if (oldBlocks > 0 && newBlocks === 0) {
+            status = 'disappeared';
+        } else if (shareChange !== null && shareChange <= -threshold) {
+            status = 'dropped';
+        }
+
+        return {
+            key,
+            validator: (after || before).validator,
+            oldBlocks,
+            newBlocks,
+            blockDelta: newBlocks - oldBlocks,
+            oldShare: Number(oldShare.toFixed(2)),
+            newShare: Number(newShare.toFixed(2)),
+            shareDelta: Number((newShare - oldShare).toFixed(2)),
+            shareChange: shareChange === null ? null : Number(shareChange.toFixed(2)),
+            status
+        };
+    });
+
+    // Flagged first, then largest share loss
+    const order = { disappeared: 0, dropped: 1, appeared: 2, unchanged: 3 };
+    rows.sort((a, b) => order[a.status] - order[b.status] || a.shareDelta - b.shareDelta);
+
+    return {
+        summary: {
+            oldTotalBlocks: oldTotal,
+            newTotalBlocks: newTotal,
+            threshold,
+            appeared: rows.filter(r => r.status === 'appeared').length,
+            disappeared: rows.filter(r => r.status === 'disappeared').length,
+            dropped: rows.filter(r => r.status === 'dropped').length
+        },
+        rows
+    };
+}
+
+function describeRange(range) {
+    return `${range.fromTime ?? '-'} .. ${range.toTime ?? 'now'} (blocks ${range.startBlock} .. ${range.endBlock})`;
+}
+
+const STATUS_ICON = { appeared: '🆕', disappeared: '❌', dropped: '📉', unchanged: '' };
+
+// Format output
+function formatComparison(comparison, format, options = {}) {
+    const { mode, oldRange, newRange } = options;
+    const label = mode === 'node' ? 'Node' : 'Validator';
+    const rows = options.onlyFlagged ? comparison.rows.filter(r => r.status !== 'unchanged') : comparison.rows;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                mode,
+                ...(oldRange || newRange ? { oldRange, newRange } : {}),
+                summary: comparison.summary,
+                entries: rows
+            }, null, 2);
+
+        case 'csv': {
+            const header = `${mode === 'node' ? 'Node,' : ''}Validator,Old Blocks,New Blocks,Block Delta,Old Share,New Share,Share Delta,Share Change,Status\n`;
+            return header + rows.map(r =>
+                `${mode === 'node' ? `"${r.key}",` : ''}"${r.validator}",${r.oldBlocks},${r.newBlocks},${r.blockDelta},${r.oldShare}%,${r.newShare}%,${r.shareDelta},${r.shareChange === null ? '' : r.shareChange + '%'},${r.status}`
+            ).join('\n');
+        }
+        case 'table':
+        default: {
+            const { summary } = comparison;
+            console.log(`\n🔀 Block Production Comparison (${label} Mode):`);
+            if (oldRange) console.log(`   Old: ${describeRange(oldRange)}`);
+            if (newRange) console.log(`   New: ${describeRange(newRange)}`);
+            console.log('='.repeat(110));
+            console.log(`${label.padEnd(40)} ${'Old'.padStart(8)} ${'New'.padStart(8)} ${'Δ Blocks'.padStart(9)} ${'Old %'.padStart(8)} ${'New %'.padStart(8)} ${'Δ Share'.padStart(9)}  Status`);
+            console.log('-'.repeat(110));
+            rows.forEach(r => {
+                const shortKey = r.key.length > 37 ? r.key.substring(0, 37) + '...' : r.key;
+                const delta = (r.blockDelta > 0 ? '+' : '') + r.blockDelta;
+                const shareDelta = (r.shareDelta > 0 ? '+' : '') + r.shareDelta.toFixed(2);
+                console.log(`${shortKey.padEnd(40)} ${String(r.oldBlocks).padStart(8)} ${String(r.newBlocks).padStart(8)} ${delta.padStart(9)} ${r.oldShare.toFixed(2).padStart(7)}% ${r.newShare.toFixed(2).padStart(7)}% ${shareDelta.padStart(9)}  ${STATUS_ICON[r.status]} ${r.status === 'unchanged' ? '' : r.status}`);
+            });
+            console.log('-'.repeat(110));
+            console.log(`Total blocks: ${summary.oldTotalBlocks} -> ${summary.newTotalBlocks}`);
+            console.log(`Appeared: ${summary.appeared}, Disappeared: ${summary.disappeared}, Dropped ≥${summary.threshold}%: ${summary.dropped}`);
+            return '';
+        }
+    }
+}
+
+function main() {
+    try {
+        const oldResult = loadResult(argv.old);
+        const newResult = loadResult(argv.new);
+        if (oldResult.mode !== newResult.mode) {
+            throw new Error(`Cannot compare a ${oldResult.mode}-mode result with a ${newResult.mode}-mode result`);
+        }
+
+        const comparison = compareResults(oldResult, newResult, argv.threshold);
+        const options = {
+            mode: oldResult.mode,
+            oldRange: oldResult.range,
+            newRange: newResult.range,
+            onlyFlagged: argv.onlyFlagged
+        };
+
+        const outputData = formatComparison(comparison, argv.output, options);
+        if (argv.saveTo) {
+            const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+            fs.writeFileSync(argv.saveTo, saveFmt === argv.output && outputData ? outputData : formatComparison(comparison, saveFmt, options));
+            console.log(`💾 Results saved to: ${argv.saveTo}`);
+        }
+        if (outputData) {
+            console.log(outputData);
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
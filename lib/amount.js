@@ -0,0 +1,16 @@
+// Token amounts in the chain's native token for console output
+
+// { decimals, token } of the chain's native token
+export function chainAmountInfo(api) {
+    return {
+        decimals: api.registry.chainDecimals[0] ?? 12,
+        token: api.registry.chainTokens[0] ?? 'UNIT'
+    };
+}
+
+// Planck (bigint) -> "12.3456 DOT" using the chain's decimals and token symbol
+export function formatAmount(amount, { decimals, token }) {
+    const whole = amount / 10n ** BigInt(decimals);
+    const fraction = (amount % 10n ** BigInt(decimals)).toString().padStart(decimals, '0').slice(0, 4);
+    return `${whole}${decimals ? '.' + fraction : ''} ${token}`;
+}
@@ -0,0 +1,133 @@
+// BABE slot helpers for collect.js --slots
+//
+// Every block carries a BABE pre-runtime digest with its slot number and claim type.
+// With secondary slots enabled, each slot also has one deterministic fallback author:
+//   index = U256(blake2_256(epochRandomness ++ slot.to_le_bytes())) % authorities.len()
+// An empty slot is therefore a slot the secondary author failed to fill (and no primary
+// winner produced either), which lets us attribute misses to validators.
+
+import { blake2AsU8a } from '@polkadot/util-crypto';
+import { bnToU8a, u8aConcat, u8aToHex } from '@polkadot/util';
+
+export const CLAIM_TYPES = ['primary', 'secondaryPlain', 'secondaryVRF'];
+
+// Decode the BABE pre-runtime digest of a header -> { slot, claim, authorityIndex } (null if not BABE)
+export function decodeBabePreDigest(registry, header) {
+    const log = header.digest.logs.find(l => l.isPreRuntime && l.asPreRuntime[0].isBabe);
+    if (!log) return null;
+    const digest = registry.createType('RawBabePreDigest', log.asPreRuntime[1]);
+    if (digest.isPrimary || digest.isSecondaryPlain || digest.isSecondaryVRF) {
+        const claim = digest.isPrimary ? 'primary' : digest.isSecondaryPlain ? 'secondaryPlain' : 'secondaryVRF';
+        const inner = digest.value;
+        return {
+            slot: inner.slotNumber.toNumber(),
+            claim,
+            authorityIndex: inner.authorityIndex.toNumber()
+        };
+    }
+    return null;
+}
+
+// Index of the secondary slot author for a slot
+export function secondarySlotAuthor(randomness, slot, authorityCount) {
+    const hash = blake2AsU8a(u8aConcat(randomness, bnToU8a(slot, { bitLength: 64, isLe: true })), 256);
+    return Number(BigInt(u8aToHex(hash)) % BigInt(authorityCount));
+}
+
+// Analyse slot usage over a contiguous run of blocks.
+//   blocks: [{ blockNum, author, slot, claim, authorityIndex, epoch }] (sorted, slot may be null)
+// A block without a slot (failed to fetch) hides where its own slot was, so the slot gap around it
+// is reported as unknown instead of empty and charged to nobody.
+//   epochs: Map<epochIndex, { startSlot, randomness (Uint8Array), allowedSlots, validators: [address] }>
+export function analyzeSlots(blocks, epochs, { maxGaps = 10 } = {}) {
+    const validators = {};
+    const entry = (validator) => {
+        if (!validators[validator]) {
+            validators[validator] = {
+                blocks: 0, primary: 0, secondaryPlain: 0, secondaryVRF: 0,
+                secondarySlots: 0, missedSlots: 0, missedRate: 0
+            };
+        }
+        return validators[validator];
+    };
+    const hasSecondary = epoch => epoch && epoch.allowedSlots !== 'PrimarySlots' && epoch.validators.length > 0;
+    const secondaryOf = (epoch, slot) => epoch.validators[secondarySlotAuthor(epoch.randomness, slot, epoch.validators.length)];
+
+    const hasSlot = b => b.slot !== null && b.slot !== undefined;
+    const withSlots = blocks.filter(hasSlot);
+    let emptySlots = 0;
+    let unknownSlots = 0;
+    let unattributed = 0;
+    let secondaryMismatches = 0;
+    const gaps = [];
+
+    let prev = null;
+    let unknownSincePrev = false; // a block without slot lies between prev and the current block
+    blocks.forEach((block) => {
+        if (!hasSlot(block)) {
+            unknownSincePrev = true;
+            return;
+        }
+        const afterUnknown = unknownSincePrev;
+        unknownSincePrev = false;
+        const previous = prev;
+        prev = block;
+
+        const epoch = epochs.get(block.epoch);
+        const stats = entry(block.author);
+        stats.blocks++;
+        stats[block.claim]++;
+        if (hasSecondary(epoch)) {
+            entry(secondaryOf(epoch, block.slot)).secondarySlots++;
+            if (block.claim !== 'primary' && secondarySlotAuthor(epoch.randomness, block.slot, epoch.validators.length) !== block.authorityIndex) {
+                secondaryMismatches++;
+            }
+        }
+
+        if (!previous || block.slot - previous.slot <= 1) return;
+
+        const missing = block.slot - previous.slot - 1;
+        if (afterUnknown) {
+            unknownSlots += missing;
+            return;
+        }
+        emptySlots += missing;
+        gaps.push({ afterBlock: previous.blockNum, fromSlot: previous.slot + 1, toSlot: block.slot - 1, emptySlots: missing });
+        const prevEpoch = epochs.get(previous.epoch);
+        for (let slot = previous.slot + 1; slot < block.slot; slot++) {
+            const slotEpoch = epoch && slot >= epoch.startSlot ? epoch : prevEpoch;
+            if (!hasSecondary(slotEpoch)) {
+                unattributed++;
+                continue;
+            }
+            const stats = entry(secondaryOf(slotEpoch, slot));
+            stats.secondarySlots++;
+            stats.missedSlots++;
+        }
+    });
+
+    Object.values(validators).forEach(stats => {
+        stats.missedRate = stats.secondarySlots === 0 ? 0 : Number((stats.missedSlots / stats.secondarySlots).toFixed(4));
+    });
+
+    const firstSlot = withSlots.length ? withSlots[0].slot : null;
+    const lastSlot = withSlots.length ? withSlots[withSlots.length - 1].slot : null;
+    const totalSlots = withSlots.length ? lastSlot - firstSlot + 1 : 0;
+    return {
+        summary: {
+            startBlock: blocks.length ? blocks[0].blockNum : null,
+            endBlock: blocks.length ? blocks[blocks.length - 1].blockNum : null,
+            firstSlot,
+            lastSlot,
+            totalSlots,
+            blocksWithSlot: withSlots.length,
+            emptySlots,
+            emptyRate: totalSlots - unknownSlots <= 0 ? 0 : Number((emptySlots / (totalSlots - unknownSlots)).toFixed(4)),
+            unknownSlots,
+            unattributedEmptySlots: unattributed,
+            secondaryMismatches
+        },
+        largestGaps: gaps.sort((a, b) => b.emptySlots - a.emptySlots).slice(0, maxGaps),
+        validators
+    };
+}
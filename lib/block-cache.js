@@ -0,0 +1,123 @@
+// Persistent block cache and checkpoints for collect.js
+//
+// Layout (one directory per chain, keyed by genesis hash):
+//   <cacheDir>/<genesisHash>/blocks.jsonl           block number -> hash/author/slot, one JSON object per line
+//   <cacheDir>/<genesisHash>/checkpoint-<key>.json  progress of an interrupted run
+//   <cacheDir>/<genesisHash>/checkpoint-<key>.blocks.jsonl  its per-block records, appended batch by batch
+//
+// Checkpoints are written even with --no-cache, so every writer creates the directory itself.
+
+import fs from 'fs';
+import path from 'path';
+
+export class BlockCache {
+    constructor(cacheDir, genesisHash) {
+        this.dir = path.join(cacheDir, genesisHash);
+        this.blocksFile = path.join(this.dir, 'blocks.jsonl');
+        this.blocks = new Map(); // blockNum -> { hash, author }
+    }
+
+    // Read all cached blocks into memory. A truncated last line (killed mid-write) is skipped.
+    load() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        if (!fs.existsSync(this.blocksFile)) return 0;
+        const raw = fs.readFileSync(this.blocksFile, 'utf8');
+        if (raw && !raw.endsWith('\n')) {
+            // terminate the partial line so the next append starts cleanly
+            fs.appendFileSync(this.blocksFile, '\n');
+        }
+        const lines = raw.split('\n');
+        for (const line of lines) {
+            if (!line) continue;
+            try {
+                const { n, ...entry } = JSON.parse(line);
+                if (Number.isInteger(n)) this.blocks.set(n, entry);
+            } catch {
+                // partial line from an interrupted append
+            }
+        }
+        return this.blocks.size;
+    }
+
+    get(blockNum) {
+        return this.blocks.get(blockNum);
+    }
+
+    has(blockNum) {
+        return this.blocks.has(blockNum);
+    }
+
+    // Append new entries: [{ blockNum, hash, author, ... }]
+    // Entries recorded by older runs with fewer fields are re-written merged (later lines win on load).
+    append(entries) {
+        const lines = [];
+        for (const { blockNum, ...entry } of entries) {
+            const existing = this.blocks.get(blockNum);
+            if (existing && Object.keys(entry).every(k => k in existing)) continue;
+            const merged = { ...existing, ...entry };
+            this.blocks.set(blockNum, merged);
+            lines.push(JSON.stringify({ n: blockNum, ...merged }));
+        }
+        if (lines.length) {
+            fs.appendFileSync(this.blocksFile, lines.join('\n') + '\n');
+        }
+    }
+
+    checkpointPath(key) {
+        return path.join(this.dir, `checkpoint-${key}.json`);
+    }
+
+    loadCheckpoint(key) {
+        const file = this.checkpointPath(key);
+        if (!fs.existsSync(file)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // Write to a temp file and rename so a kill never leaves a half-written checkpoint
+    saveCheckpoint(key, data) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const file = this.checkpointPath(key);
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ ...data, updatedAt: new Date().toISOString() }));
+        fs.renameSync(tmp, file);
+    }
+
+    checkpointBlocksPath(key) {
+        return path.join(this.dir, `checkpoint-${key}.blocks.jsonl`);
+    }
+
+    // Append the per-block records of one batch (only the new ones, so a run writes each record once)
+    appendCheckpointBlocks(key, entries) {
+        if (!entries.length) return;
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.checkpointBlocksPath(key), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    // Per-block records of blocks before nextBlock, in block order. Records past it (appended before
+    // a kill, ahead of the checkpoint) are dropped; a block written twice keeps its last record.
+    loadCheckpointBlocks(key, nextBlock) {
+        const file = this.checkpointBlocksPath(key);
+        if (!fs.existsSync(file)) return [];
+        const entries = new Map();
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.blockNum < nextBlock) entries.set(entry.blockNum, entry);
+            } catch {
+                // partial line from an interrupted append
+            }
+        }
+        return [...entries.values()].sort((a, b) => a.blockNum - b.blockNum);
+    }
+
+    clearCheckpoint(key) {
+        for (const file of [this.checkpointPath(key), this.checkpointBlocksPath(key)]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    }
+}
@@ -0,0 +1,85 @@
+// Per-author block quality aggregates for collect.js --quality
+//
+// Each block record carries: timestamp (timestamp.set), extrinsics, signedExtrinsics,
+// size (encoded bytes), weight (ref_time) and proofSize (system.blockWeight summed over classes).
+
+export const QUALITY_METRICS = {
+    blockTime: 'Block time (ms since parent)',
+    extrinsics: 'Extrinsics per block',
+    size: 'Encoded block size (bytes)',
+    weight: 'Consumed ref_time weight'
+};
+
+// Read timestamp / extrinsic counts / size from a SignedBlock
+export function blockContentInfo(block) {
+    const extrinsics = block.extrinsics;
+    const timestampEx = extrinsics.find(ex => ex.method.section === 'timestamp' && ex.method.method === 'set');
+    return {
+        timestamp: timestampEx ? Number(timestampEx.method.args[0].toString()) : null,
+        extrinsics: extrinsics.length,
+        signedExtrinsics: extrinsics.filter(ex => ex.isSigned).length,
+        size: block.encodedLength
+    };
+}
+
+// Sum system.blockWeight over dispatch classes -> { weight (ref_time), proofSize }
+export function totalBlockWeight(blockWeight) {
+    let weight = 0;
+    let proofSize = 0;
+    for (const dispatchClass of ['normal', 'operational', 'mandatory']) {
+        const part = blockWeight[dispatchClass];
+        if (!part) continue;
+        if (part.refTime) {
+            weight += Number(part.refTime.toString());
+            proofSize += Number(part.proofSize.toString());
+        } else {
+            weight += Number(part.toString()); // pre-WeightV2 runtimes
+        }
+    }
+    return { weight, proofSize };
+}
+
+// min / avg / p95 / max of a list of numbers (nulls ignored)
+export function summarize(values) {
+    const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+    if (!sorted.length) return { count: 0, min: null, avg: null, p95: null, max: null };
+    const sum = sorted.reduce((acc, v) => acc + v, 0);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        avg: Math.round((sum / sorted.length) * 100) / 100,
+        p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Aggregate per author. blockTime is measured against the previous block in the log, or against
+// parentTimestamps (blockNum -> parent's timestamp) when that block is missing (the first block of the
+// range, one following a failed fetch); without either it has no interval.
+export function analyzeQuality(blocks, parentTimestamps = new Map()) {
+    const perAuthor = {};
+    blocks.forEach((block, i) => {
+        if (block.timestamp === undefined || block.timestamp === null) return;
+        const prev = blocks[i - 1];
+        const parentTimestamp = prev && prev.blockNum === block.blockNum - 1 && prev.timestamp
+            ? prev.timestamp
+            : parentTimestamps.get(block.blockNum);
+        const blockTime = parentTimestamp ? block.timestamp - parentTimestamp : null;
+        if (!perAuthor[block.author]) {
+            perAuthor[block.author] = { blocks: 0, emptyBlocks: 0, blockTime: [], extrinsics: [], size: [], weight: [] };
+        }
+        const entry = perAuthor[block.author];
+        entry.blocks++;
+        if (block.signedExtrinsics === 0) entry.emptyBlocks++;
+        entry.blockTime.push(blockTime);
+        entry.extrinsics.push(block.extrinsics);
+        entry.size.push(block.size);
+        entry.weight.push(block.weight);
+    });
+
+    return Object.fromEntries(Object.entries(perAuthor).map(([author, entry]) => [author, {
+        blocks: entry.blocks,
+        emptyBlocks: entry.emptyBlocks,
+        ...Object.fromEntries(Object.keys(QUALITY_METRICS).map(metric => [metric, summarize(entry[metric])]))
+    }]));
+}
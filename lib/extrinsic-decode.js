@@ -0,0 +1,112 @@
+// Extrinsic and event decoding for query.js
+//
+// Everything is turned into plain JSON values. Call arguments and event data are lossless by
+// default (see toPlain); with { human: true } they take the formatted toHuman() form used for text
+// output. An extrinsic's fee and outcome come from the system events of its block, which are grouped
+// by phase: block initialization, each extrinsic, block finalization.
+
+import { stringCamelCase } from '@polkadot/util';
+import { describeDispatchError } from './tx-errors.js';
+
+// Lossless JSON value of a codec: integers of 64 bits and more (balances, weights) as decimal
+// strings in the smallest unit, narrower ones as numbers, and calls nested in batches or proxies as
+// { section, method, args } like the outer call. Everything else is its toPrimitive() form.
+export function toPlain(value) {
+    if (value.callIndex && value.argsEntries) {
+        return { section: value.section, method: value.method, args: plainArgs(value) };
+    }
+    if (typeof value.toBigInt === 'function' && typeof value.bitLength === 'function') {
+        return value.bitLength() > 53 ? value.toBigInt().toString() : Number(value.toBigInt());
+    }
+    if (Array.isArray(value)) return Array.from(value, toPlain);
+    if (typeof value.isSome === 'boolean' && typeof value.unwrap === 'function') {
+        return value.isSome ? toPlain(value.unwrap()) : null;
+    }
+    if (typeof value.isBasic === 'boolean') { // Enum
+        return value.isBasic ? value.type : { [stringCamelCase(value.type)]: toPlain(value.value) };
+    }
+    if (value instanceof Map) { // Struct, BTreeMap
+        return Object.fromEntries([...value.entries()].map(([key, field]) => [key.toString(), toPlain(field)]));
+    }
+    return value.toPrimitive();
+}
+
+function plainArgs(call) {
+    return Object.fromEntries(call.argsEntries.map(([name, arg]) => [name, toPlain(arg)]));
+}
+
+// EventRecord -> { section, method, data }, the data keyed by field name when the metadata names them
+export function decodeEvent({ event }, { human = false } = {}) {
+    const convert = human ? (value => value.toHuman()) : toPlain;
+    const names = event.data.names;
+    const data = names && names.length === event.data.length && names.every(Boolean)
+        ? Object.fromEntries(names.map((name, i) => [name, convert(event.data[i])]))
+        : Array.from(event.data, convert);
+    return { section: event.section, method: event.method, data };
+}
+
+// system.events() -> { initialization: [records], extrinsics: Map index -> [records], finalization: [records] }
+export function groupEvents(events) {
+    const groups = { initialization: [], extrinsics: new Map(), finalization: [] };
+    for (const record of events) {
+        const { phase } = record;
+        if (phase.isApplyExtrinsic) {
+            const index = phase.asApplyExtrinsic.toNumber();
+            if (!groups.extrinsics.has(index)) groups.extrinsics.set(index, []);
+            groups.extrinsics.get(index).push(record);
+        } else if (phase.isInitialization) {
+            groups.initialization.push(record);
+        } else {
+            groups.finalization.push(record);
+        }
+    }
+    return groups;
+}
+
+// Mortal eras are valid from birth to death (exclusive); both depend on the block that included it
+function decodeEra(era, blockNumber) {
+    if (!era.isMortalEra) return { mortal: false };
+    const mortal = era.asMortalEra;
+    return {
+        mortal: true,
+        period: mortal.period.toNumber(),
+        phase: mortal.phase.toNumber(),
+        birth: mortal.birth(blockNumber),
+        death: mortal.death(blockNumber)
+    };
+}
+
+// Extrinsic at `index` of block `blockNumber`, with the event records of its phase; human as for decodeEvent
+// -> { index, hash, section, method, args, signed, signer, nonce, tip, era, fee, success, error, events }
+// fee is the actual fee of transactionPayment.TransactionFeePaid (null for unsigned extrinsics);
+// success is null when the block has no ExtrinsicSuccess / ExtrinsicFailed event for it.
+export function decodeExtrinsic(extrinsic, index, records = [], blockNumber, { human = false } = {}) {
+    const { isSigned } = extrinsic;
+    const decoded = {
+        index,
+        hash: extrinsic.hash.toHex(),
+        section: extrinsic.method.section,
+        method: extrinsic.method.method,
+        args: human ? extrinsic.method.toHuman().args : plainArgs(extrinsic.method),
+        signed: isSigned,
+        signer: isSigned ? extrinsic.signer.toString() : null,
+        nonce: isSigned ? extrinsic.nonce.toNumber() : null,
+        tip: isSigned ? extrinsic.tip.toBigInt().toString() : null,
+        era: isSigned ? decodeEra(extrinsic.era, blockNumber) : null,
+        fee: null,
+        success: null,
+        error: null,
+        events: records.map(record => decodeEvent(record, { human }))
+    };
+    for (const { event } of records) {
+        if (event.section === 'transactionPayment' && event.method === 'TransactionFeePaid') {
+            decoded.fee = event.data[1].toBigInt().toString(); // [who, actualFee, tip]
+        } else if (event.section === 'system' && event.method === 'ExtrinsicSuccess') {
+            decoded.success = true;
+        } else if (event.section === 'system' && event.method === 'ExtrinsicFailed') {
+            decoded.success = false;
+            decoded.error = describeDispatchError(event.data[0]);
+        }
+    }
+    return decoded;
+}
@@ -0,0 +1,151 @@
+// Pre-flight cost estimate and balance floor for sendtx.js
+//
+// previewCalls signs one sample of every call kind (the transfer, or each scenario entry) without
+// submitting it: paymentInfo gives its fee, system.dryRun (when the node exposes it) whether it
+// would be valid and succeed. checkBudget compares the planned spend of every sender with what it
+// can spend. Fees are estimates at the current fee multiplier, which rises while blocks are full.
+//
+// BalanceGuard polls the senders' balances during the run and tells the scheduler which ones
+// dropped below the floor.
+
+import { describeDispatchError } from './tx-errors.js';
+
+const GUARD_INTERVAL = 6000;
+
+// Calls that move the sender's funds -> the argument holding the amount (bonded funds are locked,
+// so they count like transferred ones)
+const VALUE_ARGS = {
+    'balances.transfer': 'value',
+    'balances.transferKeepAlive': 'value',
+    'balances.transferAllowDeath': 'value',
+    'staking.bond': 'value',
+    'staking.bondExtra': 'maxAdditional'
+};
+const BATCH_CALLS = ['utility.batch', 'utility.batchAll', 'utility.forceBatch'];
+// Calls whose amount depends on the sender's balance at dispatch
+const UNKNOWN_VALUE_CALLS = ['balances.transferAll'];
+
+// Amount a call takes from the sender besides its fee: the sum over the calls of a utility batch,
+// 0n for calls without a balance or nested call argument, null when it can't be told
+// (balances.transferAll, proxies, other pallets' amounts, ...)
+export function callValue(call) {
+    const name = `${call.section}.${call.method}`;
+    const args = Object.fromEntries(call.argsEntries);
+    if (BATCH_CALLS.includes(name)) {
+        let total = 0n;
+        for (const inner of args.calls) {
+            const value = callValue(inner);
+            if (value === null) return null;
+            total += value;
+        }
+        return total;
+    }
+    if (UNKNOWN_VALUE_CALLS.includes(name)) return null;
+    if (VALUE_ARGS[name]) return BigInt(args[VALUE_ARGS[name]].toString());
+    const movesFunds = call.meta.args.some(arg => /Balance|\bCall\b/.test(`${arg.type} ${arg.typeName ?? ''}`));
+    return movesFunds ? null : 0n;
+}
+
+// Free balance minus what is frozen (locks, holds), i.e. what fees and transfers can use
+function spendable(account) {
+    const { free, frozen, miscFrozen } = account.data;
+    const locked = BigInt((frozen ?? miscFrozen ?? 0).toString());
+    const available = BigInt(free.toString()) - locked;
+    return available > 0n ? available : 0n;
+}
+
+// samples: [{ label, weight, value, tx }] built for `sender` -> [{ label, weight, value, fee, dryRun, invalid }]
+// dryRun: 'ok' | 'n/a: <why>' | the decoded error; invalid is set when the pool would reject it.
+export async function previewCalls(api, sender, samples) {
+    const previews = [];
+    for (const { label, weight, value, tx } of samples) {
+        const info = await tx.paymentInfo(sender.pair);
+        const preview = { label, weight, value, fee: BigInt(info.partialFee.toString()), dryRun: null, invalid: false };
+        if (!api.rpc.system.dryRun) {
+            preview.dryRun = 'n/a: system_dryRun not available';
+        } else {
+            try {
+                await tx.signAsync(sender.pair, { nonce: sender.nonce ?? -1 });
+                const result = await api.rpc.system.dryRun(tx.toHex());
+                if (result.isErr) {
+                    preview.invalid = true;
+                    preview.dryRun = `invalid: ${result.asErr.type}.${result.asErr.value.type}`;
+                } else if (result.asOk.isErr) {
+                    preview.dryRun = `fails: ${describeDispatchError(result.asOk.asErr)}`;
+                } else {
+                    preview.dryRun = 'ok';
+                }
+            } catch (err) {
+                preview.dryRun = `n/a: ${err.message}`; // usually an unsafe RPC method on public nodes
+            }
+        }
+        previews.push(preview);
+    }
+    return previews;
+}
+
+// Weighted average cost per transaction (fee + transferred value), then the need of every sender
+// for its share of plannedTotal while keeping `reserve` (existential deposit or balance floor).
+// -> { perTx, total, perSender, short: [{ address, available, needed }] }
+export async function checkBudget(api, previews, { plannedTotal, addresses, reserve = 0n }) {
+    const totalWeight = previews.reduce((sum, p) => sum + p.weight, 0);
+    const perTx = previews.reduce((sum, p) => sum + (p.fee + p.value) * BigInt(Math.round(p.weight * 1000)), 0n) /
+        BigInt(Math.round(totalWeight * 1000));
+    const txsPerSender = BigInt(Math.ceil(plannedTotal / addresses.length));
+    const perSender = txsPerSender * perTx + reserve;
+    const accounts = await api.query.system.account.multi(addresses);
+    const short = [];
+    accounts.forEach((account, i) => {
+        const available = spendable(account);
+        if (available < perSender) short.push({ address: addresses[i], available, needed: perSender });
+    });
+    return { perTx, total: perTx * BigInt(plannedTotal), perSender, short };
+}
+
+export class BalanceGuard {
+    // onChange(address, low, available) is called whenever a sender crosses the floor
+    constructor(api, addresses, floor, { onChange = () => {} } = {}) {
+        this.api = api;
+        this.addresses = addresses;
+        this.floor = BigInt(floor);
+        this.onChange = onChange;
+        this.low = new Set();
+        this.timer = null;
+    }
+
+    async check() {
+        const accounts = await this.api.query.system.account.multi(this.addresses);
+        accounts.forEach((account, i) => {
+            const address = this.addresses[i];
+            const available = spendable(account);
+            const low = available < this.floor;
+            if (low === this.low.has(address)) return;
+            if (low) this.low.add(address);
+            else this.low.delete(address);
+            this.onChange(address, low, available);
+        });
+    }
+
+    async start() {
+        await this.check();
+        this.timer = setInterval(() => {
+            this.check().catch(err => console.warn(`Balance check failed: ${err.message}`));
+        }, GUARD_INTERVAL);
+    }
+
+    isLow(address) {
+        return this.low.has(address);
+    }
+
+    get lowCount() {
+        return this.low.size;
+    }
+
+    get allLow() {
+        return this.low.size === this.addresses.length;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+}
@@ -0,0 +1,60 @@
+// GRANDPA precommit participation for collect.js --grandpa
+//
+// Nodes only keep justifications for some finalized blocks: every authority set change and
+// every justification period (512 blocks by default). Each one holds the precommits of the
+// round that finalized it, so participation is measured over those rounds only.
+
+// Decode the GRANDPA justification of a SignedBlock -> { round, signers: [authorityId hex] } or null
+export function decodeBlockJustification(registry, signedBlock) {
+    const justifications = signedBlock.justifications;
+    if (!justifications || justifications.isNone) return null;
+    const entry = justifications.unwrap().find(([engineId]) => engineId.isGrandpa);
+    if (!entry) return null;
+    const justification = registry.createType('GrandpaJustification', entry[1].toU8a(true));
+    return {
+        round: justification.round.toNumber(),
+        signers: [...new Set(justification.commit.precommits.map(p => p.id.toHex()))]
+    };
+}
+
+// rounds: [{ blockNum, round, setId, authorities: [validator], signers: [validator] }]
+// Authorities and signers are already mapped to validator addresses (or the raw key if no owner was found).
+export function analyzeParticipation(rounds) {
+    const validators = {};
+    let unknownSigners = 0;
+    for (const { blockNum, authorities, signers } of rounds) {
+        const signed = new Set(signers);
+        for (const validator of authorities) {
+            if (!validators[validator]) {
+                validators[validator] = { rounds: 0, signed: 0, missed: 0, participation: 0, lastMissedBlock: null };
+            }
+            const entry = validators[validator];
+            entry.rounds++;
+            if (signed.has(validator)) {
+                entry.signed++;
+            } else {
+                entry.missed++;
+                entry.lastMissedBlock = blockNum;
+            }
+        }
+        const eligible = new Set(authorities);
+        unknownSigners += signers.filter(s => !eligible.has(s)).length;
+    }
+    Object.values(validators).forEach(entry => {
+        entry.participation = entry.rounds === 0 ? 0 : entry.signed / entry.rounds;
+    });
+
+    const totalVotes = rounds.reduce((sum, r) => sum + r.authorities.length, 0);
+    const totalSigned = Object.values(validators).reduce((sum, v) => sum + v.signed, 0);
+    return {
+        summary: {
+            rounds: rounds.length,
+            firstBlock: rounds.length ? rounds[0].blockNum : null,
+            lastBlock: rounds.length ? rounds[rounds.length - 1].blockNum : null,
+            setIds: [...new Set(rounds.map(r => r.setId))],
+            participation: totalVotes === 0 ? 0 : totalSigned / totalVotes,
+            unknownSigners
+        },
+        validators
+    };
+}
@@ -0,0 +1,127 @@
+// Transaction lifecycle timing for sendtx.js
+//
+// Every transaction gets timestamps (ms since epoch) for submit, ready, inBlock and finalized.
+// Finished records are streamed to an optional JSONL file; only the latencies and per-second
+// counters stay in memory, so long runs at high TPS don't accumulate every record.
+
+import fs from 'fs';
+
+export class TxTracker {
+    constructor(startTime, logFile = null) {
+        this.startTime = startTime;
+        this.stream = logFile ? fs.createWriteStream(logFile) : null;
+        this.latency = { inBlock: [], finalized: [] }; // ms since submit
+        this.perSecond = []; // second since start -> { submitted, inBlock, finalized }
+        this.phases = {}; // record.phase -> { submitted, failed, inBlock: [ms], finalized: [ms] }
+        this.open = new Set(); // records not finished yet
+    }
+
+    bucket(time) {
+        const second = Math.max(0, Math.floor((time - this.startTime) / 1000));
+        return this.perSecond[second] ??= { submitted: 0, inBlock: 0, finalized: 0 };
+    }
+
+    submit(fields) {
+        const record = { ...fields, submit: Date.now(), ready: null, inBlock: null, finalized: null };
+        this.bucket(record.submit).submitted++;
+        if (record.phase !== undefined) {
+            (this.phases[record.phase] ??= { submitted: 0, failed: 0, inBlock: [], finalized: [] }).submitted++;
+        }
+        this.open.add(record);
+        return record;
+    }
+
+    // Record the first time a stage is reached; returns false if it was already recorded
+    mark(record, stage) {
+        if (record[stage] !== null) return false;
+        record[stage] = Date.now();
+        if (stage in this.latency) {
+            this.latency[stage].push(record[stage] - record.submit);
+            this.bucket(record[stage])[stage]++;
+            if (record.phase !== undefined) this.phases[record.phase][stage].push(record[stage] - record.submit);
+        }
+        return true;
+    }
+
+    // Final status: 'finalized' | 'inBlock' (finality not seen before the end) | 'failed' | 'pending'.
+    // The lifecycle status is kept for included transactions; their dispatch result is record.success.
+    finish(record, status, extra = {}) {
+        if (!this.open.has(record)) return;
+        this.open.delete(record);
+        Object.assign(record, extra, { status });
+        // included transactions whose dispatch failed (record.success === false) count as failed too
+        if ((status === 'failed' || record.success === false) && record.phase !== undefined) this.phases[record.phase].failed++;
+        if (this.stream) this.stream.write(JSON.stringify(record) + '\n');
+    }
+
+    // Wait until every open record finished or the timeout expired, then close the rest
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.open.size && Date.now() < deadline) {
+            await new Promise(r => setTimeout(r, 200));
+        }
+        const left = this.open.size;
+        for (const record of [...this.open]) {
+            this.finish(record, record.inBlock ? 'inBlock' : 'pending');
+        }
+        return left;
+    }
+
+    async close() {
+        if (this.stream) await new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+// count / min / avg / p50 / p90 / p99 / max (nearest-rank percentiles)
+export function latencyStats(values) {
+    if (!values.length) return { count: 0, min: null, avg: null, p50: null, p90: null, p99: null, max: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = p => sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1)];
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        p50: rank(0.5),
+        p90: rank(0.9),
+        p99: rank(0.99),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Text histogram with doubling buckets (<250ms, <500ms, <1s, <2s, ...)
+export function formatHistogram(values, width = 40) {
+    if (!values.length) return [];
+    const max = values.reduce((m, v) => (v > m ? v : m), -Infinity);
+    const bounds = [250];
+    while (bounds[bounds.length - 1] <= max) bounds.push(bounds[bounds.length - 1] * 2);
+    const counts = bounds.map(() => 0);
+    values.forEach(v => counts[bounds.findIndex(b => v < b)]++);
+    const peak = counts.reduce((m, c) => (c > m ? c : m), 0);
+    const label = ms => ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+    return bounds.map((bound, i) => {
+        const bar = '█'.repeat(Math.round(counts[i] / peak * width));
+        return `  <${label(bound).padEnd(7)} ${String(counts[i]).padStart(8)} ${bar}`;
+    });
+}
+
+// Achieved vs target TPS; rows are merged so at most maxRows lines are printed
+export function formatTpsReport(perSecond, targetAt, maxRows = 300) {
+    const seconds = perSecond.length;
+    const step = Math.max(1, Math.ceil(seconds / maxRows));
+    const lines = [`  ${'Second'.padEnd(13)} ${'Target'.padStart(8)} ${'Submitted'.padStart(10)} ${'InBlock'.padStart(8)} ${'Finalized'.padStart(10)}`];
+    for (let start = 0; start < seconds; start += step) {
+        const end = Math.min(start + step, seconds);
+        let target = 0;
+        const sums = { submitted: 0, inBlock: 0, finalized: 0 };
+        for (let s = start; s < end; s++) {
+            target += targetAt(s);
+            for (const key of Object.keys(sums)) sums[key] += perSecond[s]?.[key] || 0;
+        }
+        const n = end - start;
+        const avg = v => (v / n).toFixed(n > 1 ? 1 : 0);
+        const label = n > 1 ? `${start}-${end - 1}` : String(start);
+        lines.push(`  ${label.padEnd(13)} ${avg(target).padStart(8)} ${avg(sums.submitted).padStart(10)} ${avg(sums.inBlock).padStart(8)} ${avg(sums.finalized).padStart(10)}`);
+    }
+    if (step > 1) lines.push(`  (per-second averages over ${step}s windows)`);
+    return lines;
+}
@@ -0,0 +1,174 @@
+// Load profiles for sendtx.js --profile: a sequence of TPS phases
+//
+// Inline:  "ramp:10-500:5m,hold:500:10m,spike:1000:30s,step:100-400:4:2m,sine:100-500:60s:10m"
+// or a JSON/YAML file: { phases: [{ type: 'ramp', from: 10, to: 500, duration: '5m' }, ...] }
+//
+//   hold  <tps> <duration>                    constant rate
+//   spike <tps> <duration>                    constant rate, reported separately from holds
+//   ramp  <from>-<to> <duration>              linear change
+//   step  <from>-<to> <steps> <duration>      staircase of equal-length levels
+//   sine  <min>-<max> <period> <duration>     oscillation starting at min
+//
+// Each phase exposes rateAt(t) and countAt(t) (transactions due after t seconds, the integral of
+// the rate), so the scheduler can follow the curve exactly instead of approximating it.
+
+import fs from 'fs';
+import YAML from 'yaml';
+
+const UNITS = { s: 1, m: 60, h: 3600 };
+
+// Seconds as a number, or a string like "30s", "5m", "1h"
+function parseDuration(value, where) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`${where}: invalid duration ${value}`);
+        return value;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*([smh]?)$/.exec(String(value).trim());
+    if (!match) throw new Error(`${where}: invalid duration "${value}" (use e.g. 30s, 5m, 1h)`);
+    return Number(match[1]) * UNITS[match[2] || 's'];
+}
+
+function parseRange(value, where) {
+    const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(String(value).trim());
+    if (!match) throw new Error(`${where}: invalid range "${value}" (use from-to, e.g. 10-500)`);
+    return [Number(match[1]), Number(match[2])];
+}
+
+function number(value, where, what) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`${where}: invalid ${what} "${value}"`);
+    return n;
+}
+
+// "ramp:10-500:5m" -> { type: 'ramp', from: 10, to: 500, duration: '5m' }
+function parseInlinePhase(text, where) {
+    const [type, ...fields] = text.trim().split(':');
+    switch (type) {
+        case 'hold':
+        case 'spike':
+            return { type, tps: fields[0], duration: fields[1] };
+        case 'ramp': {
+            const [from, to] = parseRange(fields[0], where);
+            return { type, from, to, duration: fields[1] };
+        }
+        case 'step': {
+            const [from, to] = parseRange(fields[0], where);
+            return { type, from, to, steps: fields[1], duration: fields[2] };
+        }
+        case 'sine': {
+            const [min, max] = parseRange(fields[0], where);
+            return { type, min, max, period: fields[1], duration: fields[2] };
+        }
+        default:
+            throw new Error(`${where}: unknown phase type "${type}" (hold, spike, ramp, step, sine)`);
+    }
+}
+
+// Phase spec -> { name, type, duration, rateAt(t), countAt(t) } with t relative to the phase start
+function buildPhase(spec, index) {
+    const where = `Profile phase #${index + 1}`;
+    const duration = parseDuration(spec.duration, where);
+    if (!(duration > 0)) throw new Error(`${where}: duration must be > 0`);
+    const phase = { type: spec.type, duration };
+
+    switch (spec.type) {
+        case 'hold':
+        case 'spike': {
+            const tps = number(spec.tps, where, 'tps');
+            phase.label = `${tps} TPS`;
+            phase.rateAt = () => tps;
+            phase.countAt = t => tps * t;
+            break;
+        }
+        case 'ramp': {
+            const from = number(spec.from, where, 'from');
+            const to = number(spec.to, where, 'to');
+            phase.label = `${from}->${to} TPS`;
+            phase.rateAt = t => from + (to - from) * t / duration;
+            phase.countAt = t => from * t + (to - from) * t * t / (2 * duration);
+            break;
+        }
+        case 'step': {
+            const from = number(spec.from, where, 'from');
+            const to = number(spec.to, where, 'to');
+            const steps = number(spec.steps, where, 'steps');
+            if (!Number.isInteger(steps) || steps < 2) throw new Error(`${where}: steps must be an integer >= 2`);
+            const stepLength = duration / steps;
+            const level = k => from + (to - from) * Math.min(k, steps - 1) / (steps - 1);
+            phase.label = `${from}->${to} TPS in ${steps} steps`;
+            phase.rateAt = t => level(Math.floor(t / stepLength));
+            phase.countAt = t => {
+                const k = Math.min(Math.floor(t / stepLength), steps - 1);
+                let count = 0;
+                for (let i = 0; i < k; i++) count += level(i) * stepLength;
+                return count + level(k) * (t - k * stepLength);
+            };
+            break;
+        }
+        case 'sine': {
+            const min = number(spec.min, where, 'min');
+            const max = number(spec.max, where, 'max');
+            const period = parseDuration(spec.period, where);
+            const mid = (min + max) / 2;
+            const amp = (max - min) / 2;
+            const w = 2 * Math.PI / period;
+            phase.label = `${min}~${max} TPS every ${period}s`;
+            phase.rateAt = t => mid - amp * Math.cos(w * t);
+            phase.countAt = t => mid * t - amp * Math.sin(w * t) / w;
+            break;
+        }
+        default:
+            throw new Error(`${where}: unknown phase type "${spec.type}" (hold, spike, ramp, step, sine)`);
+    }
+    phase.name = `${index + 1}:${spec.type}`;
+    return phase;
+}
+
+function buildProfile(specs) {
+    if (!specs.length) throw new Error('Profile has no phases');
+    const phases = specs.map(buildPhase);
+    let offset = 0;
+    let before = 0;
+    for (const phase of phases) {
+        phase.start = offset;
+        phase.countBefore = before;
+        offset += phase.duration;
+        before += phase.countAt(phase.duration);
+    }
+    const duration = offset;
+
+    const phaseAt = t => phases.find(p => t < p.start + p.duration) || phases[phases.length - 1];
+    return {
+        phases,
+        duration,
+        total: Math.floor(before + 1e-6),
+        phaseAt,
+        // phase of transaction #n (0-based): the one in which the cumulative count passes n, i.e. where
+        // the scheduler finds it due, however late the loop gets to it
+        phaseOf: n => phases.find(p => n < p.countBefore + p.countAt(p.duration) - 1e-6) || phases[phases.length - 1],
+        rateAt: t => t < 0 || t >= duration ? 0 : phaseAt(t).rateAt(t - phaseAt(t).start),
+        // transactions due after t seconds since the start of the run
+        countAt(t) {
+            if (t >= duration) return before;
+            const phase = phaseAt(Math.max(0, t));
+            return phase.countBefore + phase.countAt(Math.max(0, t) - phase.start);
+        }
+    };
+}
+
+// --profile value: inline phases or a .json/.yaml/.yml file
+export function parseProfile(value) {
+    if (/\.(json|ya?ml)$/i.test(value)) {
+        if (!fs.existsSync(value)) throw new Error(`Profile file not found: ${value}`);
+        const raw = fs.readFileSync(value, 'utf8');
+        const spec = /\.json$/i.test(value) ? JSON.parse(raw) : YAML.parse(raw);
+        if (!spec || !Array.isArray(spec.phases)) throw new Error(`Profile ${value} must define a "phases" list`);
+        return buildProfile(spec.phases);
+    }
+    return buildProfile(value.split(',').map((text, i) => parseInlinePhase(text, `Profile phase #${i + 1}`)));
+}
+
+// Constant rate, used when no --profile is given
+export function constantProfile(tps, duration) {
+    return buildProfile([{ type: 'hold', tps, duration }]);
+}
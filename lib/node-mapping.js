@@ -0,0 +1,53 @@
+// Node files of link-node-names.js: the nodes list it reads (nodes.txt) and the node mapping
+// it produces (node-validator-map.json)
+
+import fs from 'fs';
+
+// nodes.txt: one "name,ws://endpoint" or "name ws://endpoint" per line, '#' comments.
+// An optional third field is a weight (sendtx.js --distribution weighted), default 1.
+// -> [{ name, endpoint, weight }]
+export function parseNodesFile(path) {
+    if (!fs.existsSync(path)) throw new Error(`nodes-file does not exist: ${path}`);
+    const lines = fs.readFileSync(path, 'utf8').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const entries = [];
+    lines.forEach((line, i) => {
+        if (line.startsWith('#')) return; // comment
+        const [name, endpoint, weight] = line.includes(',') ? line.split(',').map(s => s.trim()) : line.split(/\s+/);
+        if (!name || !endpoint) throw new Error(`Format error at line ${i + 1} in nodes-file: ${line}`);
+        if (weight !== undefined && !(Number(weight) > 0)) throw new Error(`Invalid weight at line ${i + 1} in nodes-file: ${line}`);
+        entries.push({ name, endpoint, weight: weight === undefined ? 1 : Number(weight) });
+    });
+    return entries;
+}
+
+// -> { validatorToNode, nodesMeta: [{ name, validator }] }, or null after printing why
+export function loadNodeMapping(filePath) {
+    if (!filePath) return null;
+    if (!fs.existsSync(filePath)) {
+        console.error(`❌ Node mapping file not found: ${filePath}`);
+        return null;
+    }
+    try {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const json = JSON.parse(raw);
+        if (!Array.isArray(json.nodes)) {
+            console.error('❌ Invalid node mapping file: missing nodes array');
+            return null;
+        }
+        // Build validator -> nodeName map (if duplicates keep first)
+        const validatorToNode = {};
+        const nodes = [];
+        json.nodes.forEach(entry => {
+            if (entry && entry.validator && entry.name) {
+                if (!validatorToNode[entry.validator]) {
+                    validatorToNode[entry.validator] = entry.name;
+                    nodes.push({ name: entry.name, validator: entry.validator });
+                }
+            }
+        });
+        return { validatorToNode, nodesMeta: nodes };
+    } catch (e) {
+        console.error(`❌ Failed to parse node mapping file: ${e.message}`);
+        return null;
+    }
+}
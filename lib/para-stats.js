@@ -0,0 +1,107 @@
+// Parachain backing and availability per validator for collect.js --paras
+//
+// paraInherent.enter carries the signed availability bitfields (one per active validator and
+// block, indexed into paraShared.activeValidatorKeys) and the backed candidates, whose
+// validatorIndices bitfield marks the voting members of the backing group named by the
+// matching paraInclusion.CandidateBacked event. Candidates are followed by descriptor hash
+// until paraInclusion.CandidateIncluded / CandidateTimedOut.
+
+// Positions of the set bits of a Lsb0 BitVec
+function setBits(bitVec) {
+    const positions = [];
+    bitVec.toU8a(true).forEach((byte, i) => {
+        for (let bit = 0; bit < 8; bit++) {
+            if (byte & (1 << bit)) positions.push(i * 8 + bit);
+        }
+    });
+    return positions;
+}
+
+// Para data of a SignedBlockExtended (block + events) -> null when the block has no paraInherent
+// { bitfields: [[validatorIndex, coresAttested]], backed: [{ candidate, paraId, group, voters }], included: [candidate], timedOut: [candidate] }
+export function extractParaData(extended) {
+    const inherent = extended.block.extrinsics.find(ex => ex.method.section === 'paraInherent' && ex.method.method === 'enter');
+    if (!inherent) return null;
+    const data = inherent.method.args[0];
+
+    const eventsOf = method => extended.events
+        .filter(({ event }) => event.section === 'paraInclusion' && event.method === method)
+        .map(({ event }) => event.data);
+    const backedGroups = new Map(eventsOf('CandidateBacked').map(d => [d[0].descriptor.hash.toHex(), d[3].toNumber()]));
+
+    return {
+        bitfields: data.bitfields.map(b => [b.validatorIndex.toNumber(), setBits(b.payload).length]),
+        backed: data.backedCandidates
+            .map(backed => {
+                const candidate = backed.candidate.descriptor.hash.toHex();
+                return {
+                    candidate,
+                    paraId: backed.candidate.descriptor.paraId.toNumber(),
+                    group: backedGroups.has(candidate) ? backedGroups.get(candidate) : null,
+                    voters: setBits(backed.validatorIndices)
+                };
+            })
+            .filter(backed => backed.group !== null), // dropped by the runtime, not backed on chain
+        included: eventsOf('CandidateIncluded').map(d => d[0].descriptor.hash.toHex()),
+        timedOut: eventsOf('CandidateTimedOut').map(d => d[0].descriptor.hash.toHex())
+    };
+}
+
+// blocks: [{ blockNum, session, paras }]
+// sessions: Map session -> { validators: [stash per active validator index], groups: [[active validator index]] }
+export function analyzeParaStats(blocks, sessions) {
+    const validators = {};
+    const entryOf = validator => {
+        if (!validators[validator]) {
+            validators[validator] = {
+                bitfields: 0, expectedBitfields: 0, availabilityRate: 0, coresAttested: 0,
+                backingVotes: 0, backedIncluded: 0, backedTimedOut: 0
+            };
+        }
+        return validators[validator];
+    };
+    const backers = new Map(); // candidate -> [validator]
+    const summary = { blocks: 0, candidatesBacked: 0, candidatesIncluded: 0, candidatesTimedOut: 0, unknownSessions: 0 };
+
+    for (const { session, paras } of blocks) {
+        if (!paras) continue;
+        const info = sessions.get(session);
+        if (!info) {
+            summary.unknownSessions++;
+            continue;
+        }
+        summary.blocks++;
+
+        info.validators.forEach(validator => entryOf(validator).expectedBitfields++);
+        for (const [index, cores] of paras.bitfields) {
+            const validator = info.validators[index];
+            if (!validator) continue;
+            entryOf(validator).bitfields++;
+            entryOf(validator).coresAttested += cores;
+        }
+
+        for (const { candidate, group, voters } of paras.backed) {
+            const members = info.groups[group] || [];
+            const groupBackers = voters
+                .filter(position => position < members.length) // trailing bits encode the core index
+                .map(position => info.validators[members[position]])
+                .filter(Boolean);
+            groupBackers.forEach(validator => entryOf(validator).backingVotes++);
+            backers.set(candidate, groupBackers);
+            summary.candidatesBacked++;
+        }
+
+        for (const [list, field, counter] of [[paras.included, 'backedIncluded', 'candidatesIncluded'], [paras.timedOut, 'backedTimedOut', 'candidatesTimedOut']]) {
+            for (const candidate of list) {
+                summary[counter]++;
+                (backers.get(candidate) || []).forEach(validator => entryOf(validator)[field]++);
+                backers.delete(candidate);
+            }
+        }
+    }
+
+    Object.values(validators).forEach(entry => {
+        entry.availabilityRate = entry.expectedBitfields === 0 ? 0 : entry.bitfields / entry.expectedBitfields;
+    });
+    return { summary, validators };
+}
@@ -0,0 +1,201 @@
+// Pre-signed extrinsics for sendtx.js --presign / --replay
+//
+// All transactions are signed before the run with explicit nonces and one mortal era (anchored at
+// the finalized head when signing starts), so the send loop only pushes raw bytes through
+// author_submitExtrinsic. Without a watch subscription per transaction, inclusion is detected by
+// scanning new blocks for the extrinsic hashes (InclusionWatcher).
+//
+// Saved files are JSONL: a header line { genesisHash, specVersion, birth, mortality, count },
+// then one line per extrinsic { index, sender, nonce, call, hash, hex }.
+
+import fs from 'fs';
+import readline from 'readline';
+
+// Mortal era period: the requested length, or the longest power of two the chain keeps block hashes for
+export function eraPeriod(api, mortality) {
+    const hashCount = api.consts.system?.blockHashCount?.toNumber() || 2400;
+    const wanted = mortality ?? hashCount;
+    if (wanted === 0) return 0; // immortal
+    let period = 4;
+    while (period * 2 <= Math.min(wanted, hashCount, 65536)) period *= 2;
+    return period;
+}
+
+// Sign `count` transactions. next() -> { sender, nonce, call, tx } supplies them in send order.
+// Returns { header, items } where header describes the batch (see the file format above).
+export async function presignBatch(api, count, next, { mortality, log = console.log } = {}) {
+    const period = eraPeriod(api, mortality);
+    const birth = await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead());
+    const options = {
+        genesisHash: api.genesisHash,
+        blockHash: period ? birth.hash : api.genesisHash,
+        runtimeVersion: api.runtimeVersion,
+        signedExtensions: api.registry.signedExtensions,
+        version: api.extrinsicType
+    };
+    if (period) options.era = api.createType('ExtrinsicEra', { current: birth.number, period });
+
+    const started = Date.now();
+    const items = [];
+    for (let index = 0; index < count; index++) {
+        const { sender, nonce, call, tx } = next(index);
+        tx.sign(sender.pair, { ...options, nonce });
+        items.push({ index, sender: sender.address, nonce, call, hash: tx.hash.toHex(), hex: tx.toHex() });
+        if ((index + 1) % 10000 === 0) {
+            log(`  signed ${index + 1}/${count}`);
+            await new Promise(r => setImmediate(r)); // keep the connection's heartbeats going
+        }
+    }
+    const seconds = (Date.now() - started) / 1000;
+    log(`Signed ${count} extrinsics in ${seconds.toFixed(1)}s (${(count / Math.max(seconds, 0.001)).toFixed(0)}/s), ` +
+        (period ? `mortal for ${period} blocks from #${birth.number.toNumber()}` : 'immortal'));
+
+    const header = {
+        genesisHash: api.genesisHash.toHex(),
+        specVersion: api.runtimeVersion.specVersion.toNumber(),
+        birth: birth.number.toNumber(),
+        mortality: period,
+        count
+    };
+    return { header, items };
+}
+
+export async function saveSigned(file, header, items) {
+    const stream = fs.createWriteStream(file);
+    stream.write(JSON.stringify(header) + '\n');
+    for (const item of items) {
+        if (!stream.write(JSON.stringify(item) + '\n')) await new Promise(r => stream.once('drain', r));
+    }
+    await new Promise(resolve => stream.end(resolve));
+}
+
+// -> { header, items }; checks that the file was signed for this chain and runtime
+export async function loadSigned(file, api) {
+    if (!fs.existsSync(file)) throw new Error(`Replay file not found: ${file}`);
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let header = null;
+    const items = [];
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        if (header) items.push(JSON.parse(line));
+        else header = JSON.parse(line);
+    }
+    if (!header || header.genesisHash === undefined) throw new Error(`${file} is not a presigned extrinsics file`);
+    if (header.genesisHash !== api.genesisHash.toHex()) {
+        throw new Error(`${file} was signed for genesis ${header.genesisHash}, connected chain is ${api.genesisHash.toHex()}`);
+    }
+    if (header.specVersion !== api.runtimeVersion.specVersion.toNumber()) {
+        console.warn(`Warning: ${file} was signed for spec version ${header.specVersion}, chain runs ${api.runtimeVersion.specVersion}`);
+    }
+    if (header.mortality) {
+        const best = (await api.rpc.chain.getHeader()).number.toNumber();
+        if (best >= header.birth + header.mortality) {
+            throw new Error(`${file} expired: mortal from #${header.birth} for ${header.mortality} blocks, chain is at #${best}`);
+        }
+    }
+    return { header, items };
+}
+
+const MAX_BACKFILL = 256; // ancestors fetched per new head when heads were skipped or reorged
+const SEEN_BLOCKS = 4096;
+
+// Detects inclusion of submitted extrinsics by hash. onInBlock(record, blockHash) fires when an
+// expected hash is found in a block of the best chain; onFinalized(record) once the finalized chain
+// holds that very block. New heads are scanned together with their unscanned ancestors, so blocks
+// skipped by a head jump or brought in by a reorg are not missed. A record whose block turns out to be
+// orphaned at finalization is expected again and looked up in the finalized chain.
+export class InclusionWatcher {
+    constructor(api, { onInBlock, onFinalized }) {
+        this.api = api;
+        this.onInBlock = onInBlock;
+        this.onFinalized = onFinalized;
+        this.expected = new Map(); // extrinsic hash -> record
+        this.included = new Map(); // block hash -> { number, entries: [[extrinsic hash, record]] }
+        this.seen = new Set(); // scanned block hashes (most recent SEEN_BLOCKS)
+        this.floor = 0; // best block number at start; nothing below it needs scanning
+        this.queue = Promise.resolve(); // heads are handled one at a time
+        this.unsubs = [];
+    }
+
+    expect(hash, record) {
+        this.expected.set(hash, record);
+    }
+
+    forget(hash) {
+        this.expected.delete(hash);
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(err => console.warn(`Inclusion watcher: ${err.message}`));
+    }
+
+    async scanBlock(blockHash, number) {
+        this.seen.add(blockHash);
+        if (this.seen.size > SEEN_BLOCKS) this.seen.delete(this.seen.values().next().value);
+        if (!this.expected.size) return;
+        const { block } = await this.api.rpc.chain.getBlock(blockHash);
+        for (const ex of block.extrinsics) {
+            const hash = ex.hash.toHex();
+            const record = this.expected.get(hash);
+            if (!record) continue;
+            this.expected.delete(hash);
+            if (!this.included.has(blockHash)) this.included.set(blockHash, { number, entries: [] });
+            this.included.get(blockHash).entries.push([hash, record]);
+            this.onInBlock(record, blockHash);
+        }
+    }
+
+    // Scan the new head and every ancestor not scanned yet, oldest first
+    async scanHead(header) {
+        const pending = [];
+        let current = header;
+        while (!this.seen.has(current.hash.toHex()) && current.number.toNumber() > this.floor && pending.length < MAX_BACKFILL) {
+            pending.push({ hash: current.hash.toHex(), number: current.number.toNumber() });
+            current = await this.api.rpc.chain.getHeader(current.parentHash);
+        }
+        for (const { hash, number } of pending.reverse()) {
+            try {
+                await this.scanBlock(hash, number);
+            } catch (err) {
+                console.warn(`Could not scan block #${number} for submitted extrinsics: ${err.message}`);
+            }
+        }
+    }
+
+    // Finalize records whose block is the finalized block at its height; records of orphaned blocks
+    // are expected again and searched for in the finalized chain
+    async finalize(finalized) {
+        let orphanedFrom = null;
+        for (const [blockHash, { number, entries }] of this.included) {
+            if (number > finalized) continue;
+            this.included.delete(blockHash);
+            const canonical = (await this.api.rpc.chain.getBlockHash(number)).toHex();
+            if (canonical === blockHash) {
+                entries.forEach(([, record]) => this.onFinalized(record));
+                continue;
+            }
+            entries.forEach(([hash, record]) => this.expected.set(hash, record));
+            orphanedFrom = Math.min(orphanedFrom ?? number, number);
+        }
+        if (orphanedFrom === null) return;
+        for (let number = orphanedFrom; number <= finalized && this.expected.size; number++) {
+            await this.scanBlock((await this.api.rpc.chain.getBlockHash(number)).toHex(), number);
+        }
+        await this.finalize(finalized);
+    }
+
+    async start() {
+        this.floor = (await this.api.rpc.chain.getHeader()).number.toNumber();
+        this.unsubs.push(await this.api.rpc.chain.subscribeNewHeads((header) => {
+            this.enqueue(() => this.scanHead(header));
+        }));
+        this.unsubs.push(await this.api.rpc.chain.subscribeFinalizedHeads((header) => {
+            this.enqueue(() => this.finalize(header.number.toNumber()));
+        }));
+    }
+
+    stop() {
+        this.unsubs.forEach(unsub => unsub());
+        this.unsubs = [];
+    }
+}
@@ -0,0 +1,46 @@
+// Minimal Prometheus text exposition (format 0.0.4) and /metrics HTTP server
+
+import http from 'http';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// families: [{ name, help, type: 'counter'|'gauge', samples: [{ labels?: {}, value }] }]
+export function renderMetrics(families) {
+    const lines = [];
+    for (const { name, help, type, samples } of families) {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const { labels = {}, value } of samples) {
+            const labelText = Object.entries(labels)
+                .map(([key, val]) => `${key}="${escapeLabel(val)}"`)
+                .join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Serve GET /metrics; collect() returns the metric families at scrape time
+export function startMetricsServer({ port, host = '0.0.0.0', collect }) {
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found, try /metrics\n');
+            return;
+        }
+        try {
+            const body = renderMetrics(collect());
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`${error.message}\n`);
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
@@ -0,0 +1,105 @@
+// Pool of RPC endpoints with per-call timeout, bounded retries with backoff and failover
+//
+// Calls are spread round-robin over the endpoints that are currently connected. A failed or
+// timed-out attempt moves on to the next endpoint; after every endpoint has been tried the
+// pool backs off (backoff * 2^round) and tries again, up to `retries` extra rounds.
+// The pool prints nothing itself: pass `log` to see warnings such as endpoints unavailable at start.
+
+import { ApiPromise, WsProvider } from '@polkadot/api';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class RpcPool {
+    constructor(endpoints, { timeout = 30000, retries = 3, backoff = 500, onError = null, log = () => {} } = {}) {
+        if (!endpoints.length) throw new Error('At least one endpoint is required');
+        this.options = { timeout, retries, backoff };
+        this.onError = onError;
+        this.log = log;
+        this.members = endpoints.map(endpoint => ({ endpoint, api: null, provider: null, ready: false, calls: 0, failures: 0 }));
+        this.cursor = 0;
+    }
+
+    // Connect to all endpoints; resolves once at least one is ready (others may join later)
+    async connect() {
+        await Promise.all(this.members.map(async (member) => {
+            member.provider = new WsProvider(member.endpoint);
+            member.api = new ApiPromise({ provider: member.provider });
+            member.api.on('ready', () => { member.ready = true; });
+            member.api.on('error', () => {});
+            try {
+                await withTimeout(member.api.isReadyOrError, this.options.timeout, `connect ${member.endpoint}`);
+                member.ready = true;
+            } catch (error) {
+                this.log(`⚠️ Endpoint ${member.endpoint} not available yet: ${error.message}`);
+            }
+        }));
+        if (!this.members.some(m => m.ready)) {
+            await this.disconnect();
+            throw new Error(`None of the endpoints could be reached: ${this.members.map(m => m.endpoint).join(', ')}`);
+        }
+        return this;
+    }
+
+    // First ready endpoint; used for subscriptions, metadata and state queries
+    get api() {
+        const member = this.members.find(m => m.ready && m.provider.isConnected) || this.members.find(m => m.ready);
+        return member.api;
+    }
+
+    get endpoint() {
+        return this.members.find(m => m.api === this.api).endpoint;
+    }
+
+    // Run fn(api) on the next healthy endpoint, failing over and retrying as configured
+    async call(fn, label = 'rpc') {
+        let lastError = null;
+        for (let round = 0; round <= this.options.retries; round++) {
+            if (round > 0) {
+                await sleep(this.options.backoff * 2 ** (round - 1));
+            }
+            const healthy = this.members.filter(m => m.ready && m.provider.isConnected);
+            const candidates = healthy.length ? healthy : this.members.filter(m => m.ready);
+            const start = this.cursor++ % candidates.length;
+            for (let i = 0; i < candidates.length; i++) {
+                const member = candidates[(start + i) % candidates.length];
+                member.calls++;
+                try {
+                    return await withTimeout(fn(member.api), this.options.timeout, label);
+                } catch (error) {
+                    member.failures++;
+                    lastError = error;
+                    if (this.onError) this.onError(label, member.endpoint, error);
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    // Attach a provider event handler ('connected' / 'disconnected') to every endpoint
+    onProvider(event, handler) {
+        this.members.forEach(member => member.provider.on(event, () => handler(member.endpoint)));
+    }
+
+    stats() {
+        return this.members.map(({ endpoint, ready, provider, calls, failures }) => ({
+            endpoint,
+            connected: ready && !!provider?.isConnected,
+            calls,
+            failures
+        }));
+    }
+
+    async disconnect() {
+        await Promise.all(this.members.map(async (member) => {
+            try { await member.api?.disconnect(); } catch {}
+        }));
+    }
+}
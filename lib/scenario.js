@@ -0,0 +1,124 @@
+// Scenario files for sendtx.js: a weighted mix of calls instead of a single transfer
+//
+// JSON or YAML (by extension):
+//   calls:
+//     - call: balances.transferKeepAlive
+//       weight: 60
+//       args: { dest: $random, value: "1000000000000" }
+//     - call: system.remark
+//       weight: 20
+//       args: { remark: $bytes:1024 }
+//     - call: utility.batchAll
+//       weight: 10
+//       args:
+//         calls: { repeat: 10, call: balances.transferKeepAlive, args: { dest: $random, value: "1000000000" } }
+//
+// Args are matched by name against the runtime metadata (snake_case or camelCase). Value placeholders:
+//   $random   a fresh random account        $to     the --to address
+//   $sender   the sending account           $bytes:N  N random bytes
+// An object with a `call` key is built as a nested call; `repeat: N` turns it into a list of N calls.
+
+import fs from 'fs';
+import YAML from 'yaml';
+import { encodeAddress, randomAsHex, randomAsU8a } from '@polkadot/util-crypto';
+
+const normalize = name => name.replace(/_/g, '').toLowerCase();
+
+export function loadScenario(file) {
+    if (!fs.existsSync(file)) throw new Error(`Scenario file not found: ${file}`);
+    const raw = fs.readFileSync(file, 'utf8');
+    const scenario = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+    if (!scenario || !Array.isArray(scenario.calls) || !scenario.calls.length) {
+        throw new Error(`Scenario ${file} must define a non-empty "calls" list`);
+    }
+    scenario.calls.forEach((entry, i) => {
+        if (!entry || typeof entry.call !== 'string') throw new Error(`Scenario entry #${i + 1}: missing "call" (pallet.method)`);
+        if (entry.weight !== undefined && !(entry.weight > 0)) throw new Error(`Scenario entry #${i + 1}: weight must be > 0`);
+    });
+    return scenario;
+}
+
+// Resolve "pallet.method" against api.tx and order the given args like the metadata does
+function compileCall(api, spec, where) {
+    const [section, method] = spec.call.split('.');
+    const txFn = api.tx[section]?.[method];
+    if (!txFn) throw new Error(`${where}: ${spec.call} is not available in this runtime`);
+    const metaArgs = txFn.meta.args.map(arg => arg.name.toString());
+    const given = spec.args || {};
+    const byName = new Map(Object.keys(given).map(key => [normalize(key), key]));
+    for (const key of Object.keys(given)) {
+        if (!metaArgs.some(name => normalize(name) === normalize(key))) {
+            throw new Error(`${where}: ${spec.call} has no argument "${key}" (expected: ${metaArgs.join(', ')})`);
+        }
+    }
+    const args = metaArgs.map(name => {
+        if (!byName.has(normalize(name))) throw new Error(`${where}: ${spec.call} is missing argument "${name}"`);
+        return compileValue(api, given[byName.get(normalize(name))], `${where} ${spec.call}.${name}`);
+    });
+    return (ctx) => txFn(...args.map(arg => arg(ctx)));
+}
+
+// -> (ctx) => value
+function compileValue(api, value, where) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.call === 'string') {
+        const build = compileCall(api, value, where);
+        return value.repeat ? (ctx) => Array.from({ length: value.repeat }, () => build(ctx)) : build;
+    }
+    if (Array.isArray(value)) {
+        const items = value.map((item, i) => compileValue(api, item, `${where}[${i}]`));
+        return (ctx) => items.map(item => item(ctx));
+    }
+    if (typeof value === 'string' && value.startsWith('$')) {
+        const [name, param] = value.split(':');
+        switch (name) {
+            case '$random':
+                return () => encodeAddress(randomAsU8a(32), api.registry.chainSS58);
+            case '$sender':
+                return (ctx) => ctx.sender;
+            case '$to':
+                return (ctx) => {
+                    if (!ctx.to) throw new Error(`${where}: $to used but --to was not given`);
+                    return ctx.to;
+                };
+            case '$bytes': {
+                const size = Number(param);
+                if (!Number.isInteger(size) || size < 0) throw new Error(`${where}: invalid ${value}, expected $bytes:<size>`);
+                return () => size ? randomAsHex(size) : '0x';
+            }
+            default:
+                throw new Error(`${where}: unknown placeholder ${value}`);
+        }
+    }
+    return () => value;
+}
+
+// Validate the scenario against the metadata once -> { entries, pick(), build(entry, ctx) }.
+// Every entry is built once here with sampleCtx ({ sender, to }), so argument values that don't fit
+// their types fail at load time instead of in the middle of a run.
+export function compileScenario(api, scenario, sampleCtx) {
+    const entries = scenario.calls.map((spec, i) => {
+        const where = `Scenario entry #${i + 1}`;
+        const build = compileCall(api, spec, where);
+        try {
+            build(sampleCtx);
+        } catch (err) {
+            throw new Error(`${where} (${spec.call}): ${err.message}`);
+        }
+        return { label: spec.name || spec.call, weight: spec.weight ?? 1, build };
+    });
+    const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+    return {
+        entries,
+        pick() {
+            let roll = Math.random() * totalWeight;
+            for (const entry of entries) {
+                roll -= entry.weight;
+                if (roll < 0) return entry;
+            }
+            return entries[entries.length - 1];
+        },
+        build(entry, ctx) {
+            return entry.build(ctx);
+        }
+    };
+}
@@ -0,0 +1,100 @@
+// Sender accounts for sendtx.js: several accounts with their own nonce sequence, used round-robin
+//
+// Accounts are derived from the master seed as <seed>//0 .. <seed>//N-1, or read from a file with
+// one mnemonic / secret URI per line ('#' comments and blank lines are ignored).
+
+import fs from 'fs';
+
+export class SenderPool {
+    constructor(pairs) {
+        if (!pairs.length) throw new Error('Sender pool is empty');
+        this.senders = pairs.map(pair => ({ pair, address: pair.address, nonce: null, sent: 0 }));
+        this.cursor = 0;
+    }
+
+    static fromSeed(keyring, seed, count) {
+        return new SenderPool(Array.from({ length: count }, (_, i) => keyring.addFromUri(`${seed}//${i}`)));
+    }
+
+    static fromFile(keyring, file, count) {
+        if (!fs.existsSync(file)) throw new Error(`Mnemonic file not found: ${file}`);
+        const uris = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+        return new SenderPool(uris.slice(0, count || uris.length).map(uri => keyring.addFromUri(uri)));
+    }
+
+    get size() {
+        return this.senders.length;
+    }
+
+    // Read the next usable nonce of every account (pending pool transactions included)
+    async syncNonces(api) {
+        await Promise.all(this.senders.map(async (sender) => {
+            sender.nonce = (await api.rpc.system.accountNextIndex(sender.address)).toNumber();
+        }));
+    }
+
+    // Re-read one account's next index after a rejected transaction. The local counter only moves
+    // forward (nonces handed out but still in flight stay valid); the chain value is returned so the
+    // caller can tell whether its own nonce was consumed (next > nonce) or left a gap.
+    async resync(api, sender) {
+        const next = (await api.rpc.system.accountNextIndex(sender.address)).toNumber();
+        if (sender.nonce === null || sender.nonce < next) sender.nonce = next;
+        return next;
+    }
+
+    // Occupy a nonce whose transaction was dropped with an empty remark, so the account's later
+    // transactions don't stall in the pool as Future. Resolves once the remark is submitted.
+    fillGap(api, sender, nonce) {
+        return api.tx.system.remark('0x').signAndSend(sender.pair, { nonce });
+    }
+
+    // Next sender in round-robin order, skipping those `usable` rejects; null if none is usable
+    next(usable = null) {
+        for (let tried = 0; tried < this.senders.length; tried++) {
+            const sender = this.senders[this.cursor];
+            this.cursor = (this.cursor + 1) % this.senders.length;
+            if (usable && !usable(sender)) continue;
+            sender.sent++;
+            return sender;
+        }
+        return null;
+    }
+
+    // Top up every account whose free balance is below `amount` from the master account.
+    // Transfers are grouped in utility.batchAll calls (when available) and awaited until in a block.
+    async fund(api, master, amount, { batchSize = 100, log = console.log } = {}) {
+        const target = BigInt(amount);
+        const accounts = await api.query.system.account.multi(this.senders.map(s => s.address));
+        const transfer = api.tx.balances.transferKeepAlive || api.tx.balances.transfer;
+        const calls = [];
+        accounts.forEach((account, i) => {
+            const free = BigInt(account.data.free.toString());
+            if (free < target) calls.push(transfer(this.senders[i].address, (target - free).toString()));
+        });
+        if (!calls.length) {
+            log(`All ${this.size} sender accounts already hold at least ${amount}`);
+            return 0;
+        }
+
+        log(`Funding ${calls.length}/${this.size} sender accounts from ${master.address} ...`);
+        const chunks = [];
+        const step = api.tx.utility ? batchSize : 1;
+        for (let i = 0; i < calls.length; i += step) {
+            chunks.push(api.tx.utility ? api.tx.utility.batchAll(calls.slice(i, i + step)) : calls[i]);
+        }
+        let nonce = (await api.rpc.system.accountNextIndex(master.address)).toNumber();
+        await Promise.all(chunks.map(tx => new Promise((resolve, reject) => {
+            tx.signAndSend(master, { nonce: nonce++ }, (result) => {
+                if (result.dispatchError) {
+                    reject(new Error(`Funding transaction failed: ${result.dispatchError.toString()}`));
+                } else if (result.status.isInBlock || result.status.isFinalized) {
+                    resolve();
+                } else if (result.isError) {
+                    reject(new Error(`Funding transaction was not included: ${result.status.type}`));
+                }
+            }).catch(reject);
+        })));
+        log(`Funded ${calls.length} accounts`);
+        return calls.length;
+    }
+}
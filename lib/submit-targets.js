@@ -0,0 +1,85 @@
+// Submission endpoints for sendtx.js: spread transactions over several nodes
+//
+// The --ws connection stays the primary one (metadata, nonces, block scanning); transactions are
+// submitted to the endpoint picked by next(), round-robin or weighted (smooth weighted round-robin,
+// so a 3:1 weighting interleaves a,a,b,a instead of sending bursts). Endpoints that are not
+// connected are skipped until their provider reconnects.
+
+import { ApiPromise, WsProvider } from '@polkadot/api';
+
+const CONNECT_TIMEOUT = 30000;
+
+export class SubmitTargets {
+    // endpoints: [{ name, endpoint, weight }]
+    constructor(endpoints, distribution = 'round-robin') {
+        if (!endpoints.length) throw new Error('No submission endpoints given');
+        this.distribution = distribution;
+        this.targets = endpoints.map(({ name, endpoint, weight = 1 }) => ({
+            name: name || endpoint,
+            endpoint,
+            weight: distribution === 'weighted' ? weight : 1,
+            api: null,
+            provider: null,
+            current: 0, // smooth weighted round-robin state
+            stats: { submitted: 0, inBlock: 0, failed: 0, ready: [], included: [], reasons: {} }
+        }));
+    }
+
+    // Connect every endpoint (reusing the primary connection for its own endpoint); unreachable
+    // ones are dropped with a warning. Throws when none is left.
+    async connect(primary) {
+        this.primary = primary;
+        await Promise.all(this.targets.map(async (target) => {
+            if (target.endpoint === primary.endpoint) {
+                target.api = primary.api;
+                target.provider = primary.provider;
+                return;
+            }
+            target.provider = new WsProvider(target.endpoint);
+            target.api = new ApiPromise({ provider: target.provider });
+            target.api.on('error', () => {});
+            let timer;
+            try {
+                await Promise.race([
+                    target.api.isReadyOrError,
+                    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('connect timed out')), CONNECT_TIMEOUT); })
+                ]);
+            } catch (err) {
+                console.warn(`Submission endpoint ${target.name} (${target.endpoint}) unavailable, skipping: ${err.message}`);
+                await target.api.disconnect().catch(() => {});
+                target.api = null;
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+        this.targets = this.targets.filter(target => target.api);
+        if (!this.targets.length) throw new Error('None of the submission endpoints could be reached');
+        return this;
+    }
+
+    get size() {
+        return this.targets.length;
+    }
+
+    get(name) {
+        return this.targets.find(target => target.name === name);
+    }
+
+    // Next connected endpoint by the configured distribution
+    next() {
+        const live = this.targets.filter(target => target.provider.isConnected);
+        const candidates = live.length ? live : this.targets;
+        const total = candidates.reduce((sum, target) => sum + target.weight, 0);
+        let best = candidates[0];
+        for (const target of candidates) {
+            target.current += target.weight;
+            if (target.current > best.current) best = target;
+        }
+        best.current -= total;
+        return best;
+    }
+
+    async disconnect() {
+        await Promise.all(this.targets.filter(target => target.api !== this.primary.api).map(target => target.api.disconnect().catch(() => {})));
+    }
+}
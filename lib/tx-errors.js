@@ -0,0 +1,96 @@
+// Failure reasons for sendtx.js transactions
+//
+// A transaction that never reaches a block is either rejected when submitted (an RPC error with
+// the pool's error code) or reported through the watch subscription (Invalid / Usurped / Dropped).
+// One that is included can still fail: its system.ExtrinsicFailed event carries the DispatchError.
+
+const RPC_REASONS = [
+    [/1010.*(outdated|stale)/i, 'stale'],
+    [/1010|Invalid Transaction/i, 'invalid'],
+    [/1011|Unknown Transaction/i, 'unknown'],
+    [/1012|temporarily banned/i, 'banned'],
+    [/1013|Already Imported/i, 'alreadyImported'],
+    [/1014|Priority is too low/i, 'priorityTooLow'],
+    [/1016|Immediately Dropped|pool.*(full|limit)/i, 'poolFull']
+];
+
+// Status type ('Invalid', 'Usurped', 'Dropped', ...) or submit error -> short reason key
+export function rejectionReason(errOrStatus) {
+    if (typeof errOrStatus === 'string') return errOrStatus.charAt(0).toLowerCase() + errOrStatus.slice(1);
+    const message = errOrStatus?.message || String(errOrStatus);
+    const match = RPC_REASONS.find(([pattern]) => pattern.test(message));
+    return match ? match[1] : 'rpcError';
+}
+
+// { reason: count } -> "stale 3, poolFull 2" (largest first)
+export function formatReasons(counts) {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return entries.length ? entries.map(([reason, n]) => `${reason} ${n}`).join(', ') : 'none';
+}
+
+// DispatchError -> "balances.InsufficientBalance" for module errors (decoded via the metadata it
+// was created with), otherwise its variant ("BadOrigin", "Token.FundsUnavailable", ...)
+export function describeDispatchError(dispatchError) {
+    if (dispatchError.isModule) {
+        try {
+            const { section, name } = dispatchError.registry.findMetaError(dispatchError.asModule);
+            return `${section}.${name}`;
+        } catch (e) {
+            return `Module(${dispatchError.asModule.index.toNumber()}, ${dispatchError.asModule.error.toHex()})`;
+        }
+    }
+    const inner = dispatchError.value;
+    return inner && typeof inner.type === 'string' ? `${dispatchError.type}.${inner.type}` : dispatchError.type;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Success or decoded failure of included extrinsics, read from the system events of their block.
+// Blocks are cached (several transactions usually share one) and re-fetched a few times, since a
+// block reported by another submission endpoint may not be imported on this node yet.
+export class DispatchOutcomes {
+    constructor(api, { cacheSize = 64, attempts = 3 } = {}) {
+        this.api = api;
+        this.cacheSize = cacheSize;
+        this.attempts = attempts;
+        this.blocks = new Map(); // block hash -> Promise<{ indices: Map extrinsic hash -> index, events }>
+    }
+
+    load(blockHash) {
+        if (!this.blocks.has(blockHash)) {
+            const loading = this.fetch(blockHash);
+            loading.catch(() => this.blocks.delete(blockHash));
+            this.blocks.set(blockHash, loading);
+            if (this.blocks.size > this.cacheSize) this.blocks.delete(this.blocks.keys().next().value);
+        }
+        return this.blocks.get(blockHash);
+    }
+
+    async fetch(blockHash) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const [signedBlock, apiAt] = await Promise.all([this.api.rpc.chain.getBlock(blockHash), this.api.at(blockHash)]);
+                const events = await apiAt.query.system.events();
+                const indices = new Map(signedBlock.block.extrinsics.map((ex, i) => [ex.hash.toHex(), i]));
+                return { indices, events };
+            } catch (err) {
+                if (attempt >= this.attempts) throw err;
+                await sleep(1000 * attempt);
+            }
+        }
+    }
+
+    // -> { success: true } | { success: false, error: 'balances.InsufficientBalance' }
+    //    | { success: null, error: why the outcome is unknown }
+    async check(blockHash, txHash) {
+        const { indices, events } = await this.load(blockHash);
+        const index = indices.get(txHash);
+        if (index === undefined) return { success: null, error: 'notInBlock' };
+        for (const { phase, event } of events) {
+            if (!phase.isApplyExtrinsic || phase.asApplyExtrinsic.toNumber() !== index || event.section !== 'system') continue;
+            if (event.method === 'ExtrinsicFailed') return { success: false, error: describeDispatchError(event.data[0]) };
+            if (event.method === 'ExtrinsicSuccess') return { success: true };
+        }
+        return { success: null, error: 'noOutcomeEvent' };
+    }
+}
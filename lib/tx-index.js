@@ -0,0 +1,129 @@
+// Local extrinsic-hash index for query.js -t
+//
+// One directory per chain:
+//   <dir>/meta.json   { genesisHash, ranges: [[from, to], ...] }  indexed block ranges, merged
+//   <dir>/<xx>.idx    "<hash> <block> <index>" lines, sharded by the first byte of the hash
+// Only finalized blocks are indexed, so entries never need to be rolled back. Shards are
+// append-only; a crash between appending a chunk and updating meta.json only leaves duplicate
+// lines, which lookups tolerate.
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import pLimit from 'p-limit';
+
+export class TxIndex {
+    constructor(dir, meta) {
+        this.dir = dir;
+        this.meta = meta;
+    }
+
+    // Open an index for the connected chain; with create=false a missing index resolves to null
+    static open(dir, genesisHash, { create = false } = {}) {
+        const metaFile = path.join(dir, 'meta.json');
+        if (!fs.existsSync(metaFile)) {
+            if (!create) return null;
+            fs.mkdirSync(dir, { recursive: true });
+            const index = new TxIndex(dir, { genesisHash, ranges: [] });
+            index.saveMeta();
+            return index;
+        }
+        const meta = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+        if (meta.genesisHash !== genesisHash) {
+            throw new Error(`Index in ${dir} belongs to genesis ${meta.genesisHash}, connected chain is ${genesisHash}`);
+        }
+        return new TxIndex(dir, meta);
+    }
+
+    saveMeta() {
+        const metaFile = path.join(this.dir, 'meta.json');
+        fs.writeFileSync(metaFile + '.tmp', JSON.stringify(this.meta, null, 2));
+        fs.renameSync(metaFile + '.tmp', metaFile);
+    }
+
+    shardFile(hash) {
+        return path.join(this.dir, `${hash.slice(2, 4).toLowerCase()}.idx`);
+    }
+
+    // -> { block, index } or null. The shard is streamed line by line and closed at the first match,
+    // so a lookup never holds a whole shard of a deep index in memory.
+    async lookup(hash) {
+        const file = this.shardFile(hash);
+        if (!fs.existsSync(file)) return null;
+        const needle = hash.toLowerCase() + ' ';
+        const input = fs.createReadStream(file, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line.startsWith(needle)) continue;
+                const [, block, index] = line.split(' ');
+                return { block: Number(block), index: Number(index) };
+            }
+            return null;
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    get ranges() {
+        return this.meta.ranges;
+    }
+
+    addRange(from, to) {
+        const ranges = [...this.meta.ranges, [from, to]].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const [a, b] of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && a <= last[1] + 1) last[1] = Math.max(last[1], b);
+            else merged.push([a, b]);
+        }
+        this.meta.ranges = merged;
+    }
+
+    // Sub-ranges of [from, to] that are not indexed
+    unindexed(from, to) {
+        const gaps = [];
+        let cursor = from;
+        for (const [a, b] of this.meta.ranges) {
+            if (b < cursor) continue;
+            if (a > to) break;
+            if (a > cursor) gaps.push([cursor, a - 1]);
+            cursor = b + 1;
+        }
+        if (cursor <= to) gaps.push([cursor, to]);
+        return gaps;
+    }
+
+    // Index the unindexed blocks of [from, to], chunk by chunk (meta.json is updated after each
+    // chunk, so an interrupted build resumes where it stopped). stop() is checked after each chunk.
+    // Returns the number of blocks indexed.
+    async build(api, from, to, { concurrency = 8, chunkSize = 500, log = console.log, stop = () => false } = {}) {
+        const limit = pLimit(concurrency);
+        let indexed = 0;
+        for (const [gapFrom, gapTo] of this.unindexed(from, to)) {
+            for (let chunkFrom = gapFrom; chunkFrom <= gapTo; chunkFrom += chunkSize) {
+                const chunkTo = Math.min(gapTo, chunkFrom + chunkSize - 1);
+                const shards = new Map(); // shard file -> lines
+                await Promise.all(Array.from({ length: chunkTo - chunkFrom + 1 }, (_, i) => limit(async () => {
+                    const blockNumber = chunkFrom + i;
+                    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+                    const { block } = await api.rpc.chain.getBlock(blockHash);
+                    block.extrinsics.forEach((ex, index) => {
+                        const hash = ex.hash.toHex();
+                        const file = this.shardFile(hash);
+                        if (!shards.has(file)) shards.set(file, []);
+                        shards.get(file).push(`${hash} ${blockNumber} ${index}\n`);
+                    });
+                })));
+                for (const [file, lines] of shards) fs.appendFileSync(file, lines.join(''));
+                this.addRange(chunkFrom, chunkTo);
+                this.saveMeta();
+                indexed += chunkTo - chunkFrom + 1;
+                log(`📇 Indexed blocks #${chunkFrom}-#${chunkTo}`);
+                if (stop()) return indexed;
+            }
+        }
+        return indexed;
+    }
+}
@@ -5,6 +5,7 @@ import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import fs from 'fs';
 import pLimit from 'p-limit';
+import { parseNodesFile } from './lib/node-mapping.js';
 
 const argv = yargs(hideBin(process.argv))
   .option('reference-endpoint', {
@@ -63,24 +64,6 @@ const FIELD_KEYTYPE_MAP = {
   beefy: 'beef'
 };
 
-function parseNodesFile(path){
-  if(!fs.existsSync(path)) throw new Error(`nodes-file does not exist: ${path}`);
-  const lines = fs.readFileSync(path,'utf8').split(/\r?\n/).map(l=>l.trim()).filter(Boolean);
-  const entries = [];
-  lines.forEach((line,i)=>{
-    if(line.startsWith('#')) return; // comment
-    let name, endpoint;
-    if(line.includes(',')){
-      [name, endpoint] = line.split(',').map(s=>s.trim());
-    } else {
-      [name, endpoint] = line.split(/\s+/);
-    }
-    if(!name || !endpoint) throw new Error(`Format error at line ${i+1} in nodes-file: ${line}`);
-    entries.push({ name, endpoint });
-  });
-  return entries;
-}
-
 async function collectValidatorKeyIndex(api){
   const validators = await api.query.session.validators();
   const mapping = []; // { validator, field, keyType, pubKey }
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+import yargs from 'yargs';
+import {hideBin} from 'yargs/helpers';
+import fs from 'fs';
+import {RpcPool} from './lib/rpc-pool.js';
+import {loadNodeMapping} from './lib/node-mapping.js';
+import {chainAmountInfo, formatAmount} from './lib/amount.js';
+
+// Events gathered per validator. validators(data) -> [{ validator, ...detail }]; offence events don't
+// carry the offenders, so those are looked up separately (offenceOffenders)
+const TRACKED_EVENTS = {
+    'offences.Offence': { type: 'offence' },
+    'imOnline.SomeOffline': {
+        type: 'offline',
+        validators: (data) => data[0].map(([validator]) => ({ validator: validator.toString() }))
+    },
+    'staking.Slashed': {
+        type: 'slashed',
+        validators: (data) => [{ validator: data[0].toString(), amount: BigInt(data[1].toString()) }]
+    },
+    'staking.Chilled': {
+        type: 'chilled',
+        validators: (data) => [{ validator: data[0].toString() }]
+    }
+};
+
+// Configure command line arguments
+const argv = yargs(hideBin(process.argv))
+    .option('start-block', {
+        alias: 's',
+        type: 'number',
+        description: 'Starting block number'
+    })
+    .option('end-block', {
+        alias: 'e',
+        type: 'number',
+        description: 'Ending block number (if not specified, use the finalized head)'
+    })
+    .option('era', {
+        type: 'number',
+        description: 'Scan the blocks of a single era'
+    })
+    .option('era-range', {
+        alias: 'r',
+        type: 'string',
+        description: 'Scan the blocks of an era range in format: start-end (e.g., 1000-1010)'
+    })
+    .option('endpoint', {
+        alias: 'u',
+        type: 'string',
+        default: 'wss://rpc.polkadot.io',
+        description: 'WebSocket RPC endpoint; repeat or comma-separate to spread batches over several nodes with failover'
+    })
+    .option('role', {
+        type: 'string',
+        description: 'Path to node mapping file (output of link-node-names.js) used to show node names'
+    })
+    .option('nodes-only', {
+        type: 'boolean',
+        default: false,
+        description: 'With --role, only report validators that belong to a mapped node'
+    })
+    .option('output', {
+        alias: 'o',
+        type: 'string',
+        choices: ['table', 'json', 'csv'],
+        default: 'table',
+        description: 'Output format'
+    })
+    .option('save-to', {
+        alias: 'f',
+        type: 'string',
+        description: 'Save results to file'
+    })
+    .option('batch-size', {
+        alias: 'b',
+        type: 'number',
+        default: 100,
+        description: 'Batch query size'
+    })
+    .option('rpc-timeout', {
+        type: 'number',
+        default: 30000,
+        description: 'Timeout per RPC call in milliseconds'
+    })
+    .option('retries', {
+        type: 'number',
+        default: 3,
+        description: 'Extra rounds over all endpoints before a block is reported as failed'
+    })
+    .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        description: 'Verbose output'
+    })
+    .check((argv) => {
+        const byBlock = argv.startBlock !== undefined || argv.endBlock !== undefined;
+        const byEra = argv.era !== undefined || argv.eraRange !== undefined;
+        if (!byBlock && !byEra) {
+            throw new Error('Please specify a range: --start-block [--end-block], --era or --era-range');
+        }
+        if (byBlock && byEra) {
+            throw new Error('Use either a block range (--start-block/--end-block) or an era range (--era/--era-range), not both');
+        }
+        if (byBlock && argv.startBlock === undefined) {
+            throw new Error('--end-block requires --start-block');
+        }
+        if (argv.era !== undefined && argv.eraRange !== undefined) {
+            throw new Error('--era and --era-range are mutually exclusive');
+        }
+        if (argv.eraRange !== undefined && !/^\d+-\d+$/.test(argv.eraRange)) {
+            throw new Error('Invalid --era-range, expected start-end (e.g., 1000-1010)');
+        }
+        if (argv.nodesOnly && !argv.role) {
+            throw new Error('--nodes-only requires --role');
+        }
+        return true;
+    })
+    .help()
+    .alias('help', 'h')
+    .example('$0 -s 1000 -e 5000', 'Offences, offline reports, slashes and chills in a block range')
+    .example('$0 --era-range 100-105 --role node-validator-map.json', 'Eras 100..105 with node names')
+    .example('$0 --era 120 --role node-validator-map.json --nodes-only -o csv -f offences.csv', 'Only our nodes, saved as CSV')
+    .argv;
+
+// Progress bar display
+function showProgress(current, total, message = '') {
+    const percentage = Math.floor((current / total) * 100);
+    const bar = '█'.repeat(Math.floor(percentage / 2)) + '░'.repeat(50 - Math.floor(percentage / 2));
+    process.stdout.write(`\r[${bar}] ${percentage}% ${message}`);
+}
+
+// Offence kinds are 16-byte ASCII tags such as "im-online:offlin" or "babe:equivocatio"
+function offenceKind(kind) {
+    return Buffer.from(kind.toU8a()).toString('utf8').replace(/\0+$/, '');
+}
+
+// Session index and active era after a block
+async function sessionAndEra(apiAt) {
+    const [session, activeEra] = await Promise.all([
+        apiAt.query.session ? apiAt.query.session.currentIndex() : null,
+        apiAt.query.staking ? apiAt.query.staking.activeEra() : null
+    ]);
+    return {
+        session: session ? session.toNumber() : null,
+        era: activeEra && activeEra.isSome ? activeEra.unwrap().index.toNumber() : null
+    };
+}
+
+// First block in [lo, hi] whose active era is >= era (hi + 1 if there is none)
+async function findEraStart(pool, era, lo, hi) {
+    const eraAt = (blockNum) => pool.call(async (api) => {
+        const hash = await api.rpc.chain.getBlockHash(blockNum);
+        return (await sessionAndEra(await api.at(hash))).era;
+    }, 'staking.activeEra');
+    while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if ((await eraAt(mid) ?? -1) >= era) {
+            hi = mid - 1;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    return lo;
+}
+
+// Offenders of an offences.Offence event, read from the reports stored under its (kind, timeslot).
+// The event is emitted again whenever another report joins that timeslot, so only the reports that
+// are new in this block (not in the parent's index, nor taken by an earlier event of this block) count.
+async function offenceOffenders(apiAt, apiParent, kind, timeslot, seen) {
+    const [reportIds, previousIds] = await Promise.all([
+        apiAt.query.offences.concurrentReportsIndex(kind, timeslot),
+        apiParent ? apiParent.query.offences.concurrentReportsIndex(kind, timeslot) : []
+    ]);
+    const previous = new Set(previousIds.map(id => id.toHex()));
+    const fresh = reportIds.filter(id => !previous.has(id.toHex()) && !seen.has(id.toHex()));
+    fresh.forEach(id => seen.add(id.toHex()));
+    if (!fresh.length) return [];
+    const reports = await apiAt.query.offences.reports.multi(fresh);
+    const offenders = reports
+        .filter(report => report.isSome)
+        .map(report => report.unwrap().offender[0].toString());
+    return [...new Set(offenders)].map(validator => ({ validator }));
+}
+
+// Tracked events of one block -> [{ blockNum, session, era, type, validator, kind?, amount? }]
+async function fetchBlockEvents(api, blockNum) {
+    const hash = await api.rpc.chain.getBlockHash(blockNum);
+    const apiAt = await api.at(hash);
+    const records = await apiAt.query.system.events();
+    const tracked = records.filter(({ event }) => TRACKED_EVENTS[`${event.section}.${event.method}`]);
+    if (!tracked.length) return [];
+
+    const { session, era } = await sessionAndEra(apiAt);
+    let apiParent;
+    if (tracked.some(({ event }) => TRACKED_EVENTS[`${event.section}.${event.method}`].type === 'offence')) {
+        const { parentHash, number } = await api.rpc.chain.getHeader(hash);
+        apiParent = number.toNumber() > 0 ? await api.at(parentHash) : null;
+    }
+    const seenReports = new Set();
+    const results = [];
+    for (const { event } of tracked) {
+        const { type, validators } = TRACKED_EVENTS[`${event.section}.${event.method}`];
+        const detail = type === 'offence' ? { kind: offenceKind(event.data[0]) } : {};
+        const affected = type === 'offence'
+            ? await offenceOffenders(apiAt, apiParent, event.data[0], event.data[1], seenReports)
+            : validators(event.data);
+        affected.forEach(entry => results.push({ blockNum, session, era, type, ...detail, ...entry }));
+    }
+    return results;
+}
+
+// Aggregate events per validator
+function buildValidatorStats(events) {
+    const stats = {};
+    for (const { validator, type, amount, blockNum } of events) {
+        if (!stats[validator]) {
+            stats[validator] = { offence: 0, offline: 0, slashed: 0, chilled: 0, slashedAmount: 0n, firstBlock: blockNum, lastBlock: blockNum };
+        }
+        const entry = stats[validator];
+        entry[type]++;
+        if (amount) entry.slashedAmount += amount;
+        entry.lastBlock = blockNum;
+    }
+    return stats;
+}
+
+// Format output
+function formatOutput(report, format, options = {}) {
+    const { validatorToNode, chainInfo } = options;
+    const node = validator => (validatorToNode && validatorToNode[validator]) || '';
+    const rows = Object.entries(report.validators)
+        .sort((a, b) => b[1].slashed - a[1].slashed || b[1].offence - a[1].offence || b[1].offline - a[1].offline);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({
+                range: report.range,
+                validators: Object.fromEntries(rows.map(([validator, data]) => [validator, {
+                    ...(validatorToNode ? { node: node(validator) || null } : {}),
+                    ...data,
+                    slashedAmount: data.slashedAmount.toString()
+                }])),
+                events: report.events.map(e => ({
+                    ...e,
+                    ...(validatorToNode ? { node: node(e.validator) || null } : {}),
+                    ...(e.amount !== undefined ? { amount: e.amount.toString() } : {})
+                }))
+            }, null, 2);
+
+        case 'csv': {
+            const header = 'Block,Session,Era,Type,Node,Validator,Kind,Amount\n';
+            return header + report.events.map(e =>
+                `${e.blockNum},${e.session ?? ''},${e.era ?? ''},${e.type},"${node(e.validator)}","${e.validator}","${e.kind || ''}",${e.amount ?? ''}`
+            ).join('\n');
+        }
+        case 'table':
+        default: {
+            const { range } = report;
+            const label = validator => {
+                const name = node(validator);
+                const shortValidator = validator.length > 20 ? validator.substring(0, 20) + '...' : validator;
+                return name ? `${name} (${shortValidator})` : validator;
+            };
+            console.log(`\n🚨 Offences / Offline / Slashes / Chills (blocks ${range.startBlock} .. ${range.endBlock}${range.eras ? `, eras ${range.eras}` : ''}):`);
+            console.log('='.repeat(110));
+            console.log(`${(validatorToNode ? 'Node (Validator)' : 'Validator').padEnd(52)} ${'Offence'.padStart(8)} ${'Offline'.padStart(8)} ${'Slashed'.padStart(8)} ${'Chilled'.padStart(8)}  Slashed Amount`);
+            console.log('-'.repeat(110));
+            rows.forEach(([validator, d]) => {
+                const name = label(validator);
+                const shortName = name.length > 49 ? name.substring(0, 49) + '...' : name;
+                console.log(`${shortName.padEnd(52)} ${String(d.offence).padStart(8)} ${String(d.offline).padStart(8)} ${String(d.slashed).padStart(8)} ${String(d.chilled).padStart(8)}  ${d.slashedAmount ? formatAmount(d.slashedAmount, chainInfo) : '-'}`);
+            });
+            console.log('-'.repeat(110));
+            console.log(`Validators affected: ${rows.length}, events: ${report.events.length}`);
+
+            if (report.events.length) {
+                console.log('\n📜 Event log:');
+                console.log(`${'Block'.padStart(10)} ${'Session'.padStart(8)} ${'Era'.padStart(6)}  ${'Type'.padEnd(8)} ${'Node / Validator'.padEnd(52)} Detail`);
+                report.events.forEach(e => {
+                    const name = label(e.validator);
+                    const detail = e.kind || (e.amount !== undefined ? formatAmount(e.amount, chainInfo) : '');
+                    console.log(`${String(e.blockNum).padStart(10)} ${String(e.session ?? '-').padStart(8)} ${String(e.era ?? '-').padStart(6)}  ${e.type.padEnd(8)} ${(name.length > 49 ? name.substring(0, 49) + '...' : name).padEnd(52)} ${detail}`);
+                });
+            }
+            return '';
+        }
+    }
+}
+
+async function main() {
+    let pool = null;
+
+    try {
+        const endpoints = [].concat(argv.endpoint).flatMap(e => e.split(',')).map(e => e.trim()).filter(Boolean);
+        console.log('🔗 Connecting to network:', endpoints.join(', '));
+        pool = await new RpcPool(endpoints, {
+            timeout: argv.rpcTimeout,
+            retries: argv.retries,
+            log: (message) => console.error(message),
+            onError: (method, endpoint, error) => {
+                if (argv.verbose) {
+                    console.log(`\n⚠️ ${method} failed on ${endpoint}: ${error.message}`);
+                }
+            }
+        }).connect();
+        const api = pool.api;
+        console.log('✅ Connection successful');
+
+        const nodeMapping = argv.role ? loadNodeMapping(argv.role) : null;
+        if (argv.role && !nodeMapping) {
+            throw new Error('Failed to load node mapping file');
+        }
+
+        const chain = await api.rpc.system.chain();
+        const chainInfo = chainAmountInfo(api);
+        console.log(`📋 Chain: ${chain}`);
+
+        const finalizedNumber = (await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead())).number.toNumber();
+
+        // Resolve the block range; an era range covers [start of first era, start of the era after the last)
+        let startBlock = argv.startBlock;
+        let endBlock = argv.endBlock ?? finalizedNumber;
+        let eras = null;
+        if (argv.era !== undefined || argv.eraRange !== undefined) {
+            const [firstEra, lastEra] = argv.era !== undefined ? [argv.era, argv.era] : argv.eraRange.split('-').map(Number);
+            if (firstEra > lastEra) {
+                throw new Error('Start era cannot be greater than end era');
+            }
+            console.log(`🔎 Locating blocks of eras ${firstEra}..${lastEra}...`);
+            startBlock = await findEraStart(pool, firstEra, 1, finalizedNumber);
+            if (startBlock > finalizedNumber) {
+                throw new Error(`Era ${firstEra} has not started yet (finalized head: ${finalizedNumber})`);
+            }
+            endBlock = (await findEraStart(pool, lastEra + 1, startBlock, finalizedNumber)) - 1;
+            eras = `${firstEra}-${lastEra}`;
+        }
+        if (endBlock > finalizedNumber) {
+            console.log(`⚠️ End block ${endBlock} is not finalized yet, clamping to ${finalizedNumber}`);
+            endBlock = finalizedNumber;
+        }
+        if (startBlock > endBlock) {
+            throw new Error('Start block number cannot be greater than end block number');
+        }
+
+        const totalBlocks = endBlock - startBlock + 1;
+        console.log(`🔍 Scanning block range: ${startBlock} to ${endBlock} (total ${totalBlocks} blocks)`);
+
+        const events = [];
+        const failedBlocks = [];
+        for (let i = startBlock; i <= endBlock; i += argv.batchSize) {
+            const batchEnd = Math.min(i + argv.batchSize - 1, endBlock);
+            const batch = [];
+            for (let blockNum = i; blockNum <= batchEnd; blockNum++) {
+                batch.push(pool.call(api => fetchBlockEvents(api, blockNum), 'system.events')
+                    .catch(error => {
+                        failedBlocks.push(blockNum);
+                        if (argv.verbose) {
+                            console.log(`\n⚠️ Failed to read events of block ${blockNum}: ${error.message}`);
+                        }
+                        return [];
+                    }));
+            }
+            (await Promise.all(batch)).forEach(blockEvents => events.push(...blockEvents));
+            showProgress(batchEnd - startBlock + 1, totalBlocks, `Processed ${batchEnd - startBlock + 1}/${totalBlocks} blocks`);
+        }
+        console.log('\n✅ Scan completed');
+        if (failedBlocks.length) {
+            failedBlocks.sort((a, b) => a - b);
+            const preview = failedBlocks.slice(0, 20).join(', ') + (failedBlocks.length > 20 ? ', ...' : '');
+            console.log(`⚠️ ${failedBlocks.length} blocks could not be read and were skipped: ${preview}`);
+        }
+
+        const reported = argv.nodesOnly ? events.filter(e => nodeMapping.validatorToNode[e.validator]) : events;
+        const report = {
+            range: { startBlock, endBlock, eras, failedBlocks: failedBlocks.length },
+            validators: buildValidatorStats(reported),
+            events: reported
+        };
+        const options = { validatorToNode: nodeMapping ? nodeMapping.validatorToNode : null, chainInfo };
+
+        const outputData = formatOutput(report, argv.output, options);
+        if (argv.saveTo) {
+            const saveFmt = argv.saveTo.endsWith('.json') ? 'json' : argv.saveTo.endsWith('.csv') ? 'csv' : argv.output;
+            fs.writeFileSync(argv.saveTo, saveFmt === argv.output && outputData ? outputData : formatOutput(report, saveFmt, options));
+            console.log(`💾 Results saved to: ${argv.saveTo}`);
+        }
+        if (outputData) {
+            console.log(outputData);
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        if (argv.verbose) {
+            console.error(error.stack);
+        }
+        process.exit(1);
+    } finally {
+        if (pool) {
+            await pool.disconnect();
+        }
+    }
+}
+
+// Handle program exit
+process.on('SIGINT', () => {
+    console.log('\n👋 Program interrupted');
+    process.exit(0);
+});
+
+main();
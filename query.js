@@ -4,14 +4,48 @@ import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { ApiPromise, WsProvider } from '@polkadot/api';
 import { formatBalance } from '@polkadot/util';
+import pLimit from 'p-limit';
+import { TxIndex } from './lib/tx-index.js';
+import { decodeEvent, decodeExtrinsic, groupEvents, toPlain } from './lib/extrinsic-decode.js';
 
 // Default local node address
 const DEFAULT_WS_ENDPOINT = 'ws://localhost:9944';
+const DEFAULT_INDEX_DIR = 'tx-index';
+
+// Amounts are bigints in the snapshots; JSON gets them as strings
+const toJson = (value) => JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v, 2);
 
 class PolkaQuery {
-    constructor(endpoint = DEFAULT_WS_ENDPOINT) {
+    // format: 'text' prints everything to stdout; 'json' prints one JSON document per query to
+    // stdout and the progress messages to stderr
+    constructor(endpoint = DEFAULT_WS_ENDPOINT, format = 'text') {
         this.endpoint = endpoint;
+        this.format = format;
         this.api = null;
+        this.indexing = false;
+        this.stopRequested = false;
+        this.wakeUp = null;
+    }
+
+    get json() {
+        return this.format === 'json';
+    }
+
+    log(...args) {
+        (this.json ? console.error : console.log)(...args);
+    }
+
+    emit(result) {
+        console.log(toJson(result));
+    }
+
+    // Report a failed query; in json mode also as { error } on stdout with a non-zero exit code
+    fail(what, error) {
+        console.error(`❌ ${what} failed: ${error.message}`);
+        if (this.json) {
+            this.emit({ error: error.message });
+            process.exitCode = 1;
+        }
     }
 
     async connect() {
@@ -22,8 +56,9 @@ class PolkaQuery {
             const chain = await this.api.rpc.system.chain();
             const version = await this.api.rpc.system.version();
 
-            console.log(`✅ Connected to ${chain} (version: ${version})`);
-            console.log(`🔗 Node endpoint: ${this.endpoint}\n`);
+            this.log(`✅ Connected to ${chain} (version: ${version})`);
+            this.log(`🔗 Node endpoint: ${this.endpoint}\n`);
+            this.setBalanceFormat();
 
             return true;
         } catch (error) {
@@ -35,30 +70,63 @@ class PolkaQuery {
     async disconnect() {
         if (this.api) {
             await this.api.disconnect();
-            console.log('\n🔌 Disconnected');
+            this.log('\n🔌 Disconnected');
         }
     }
 
-    // Query block information
-    async queryBlock(blockNumber) {
+    // Block number or hash (--block / --at) -> { number, hash }; the best block when omitted
+    async resolveBlock(at) {
+        if (at === undefined || at === null || at === '') {
+            const header = await this.api.rpc.chain.getHeader();
+            return { number: header.number.toNumber(), hash: header.hash };
+        }
+        const value = String(at).trim();
+        if (/^0x[0-9a-fA-F]{64}$/.test(value)) {
+            const header = await this.api.rpc.chain.getHeader(value);
+            return { number: header.number.toNumber(), hash: header.hash };
+        }
+        if (!/^\d+$/.test(value)) {
+            throw new Error(`Invalid block "${value}": expected a block number or a 0x-prefixed block hash`);
+        }
+        const hash = await this.api.rpc.chain.getBlockHash(Number(value));
+        if (hash.isEmpty) throw new Error(`Block #${value} does not exist`);
+        return { number: Number(value), hash };
+    }
+
+    // Query block information (number or hash) with every extrinsic decoded
+    async queryBlock(at) {
         try {
-            console.log(`🔍 Querying block #${blockNumber}...\n`);
+            this.log(`🔍 Querying block ${/^0x/.test(String(at)) ? at : `#${at}`}...\n`);
 
             // Get block hash
-            const blockHash = await this.api.rpc.chain.getBlockHash(blockNumber);
-
-            if (blockHash.isEmpty) {
-                console.log(`❌ Block #${blockNumber} does not exist`);
-                return;
-            }
+            const { number, hash: blockHash } = await this.resolveBlock(at);
 
             // Get block details
             const block = await this.api.rpc.chain.getBlock(blockHash);
             const header = block.block.header;
-            const extrinsics = block.block.extrinsics;
 
-            // Get block events
+            // Get block events, grouped by phase
             const events = await this.api.query.system.events.at(blockHash);
+            const groups = groupEvents(events);
+            const extrinsics = block.block.extrinsics.map((ex, index) =>
+                decodeExtrinsic(ex, index, groups.extrinsics.get(index), number, { human: !this.json })
+            );
+
+            if (this.json) {
+                this.emit({
+                    number,
+                    hash: blockHash.toHex(),
+                    parentHash: header.parentHash.toHex(),
+                    stateRoot: header.stateRoot.toHex(),
+                    extrinsicsRoot: header.extrinsicsRoot.toHex(),
+                    extrinsics,
+                    events: {
+                        initialization: groups.initialization.map(record => decodeEvent(record)),
+                        finalization: groups.finalization.map(record => decodeEvent(record))
+                    }
+                });
+                return;
+            }
 
             console.log(`📦 Block Information:`);
             console.log(`   Block Number: #${header.number}`);
@@ -69,193 +137,446 @@ class PolkaQuery {
             console.log(`   Extrinsics Count: ${extrinsics.length}`);
             console.log(`   Events Count: ${events.length}\n`);
 
-            // Display extrinsics information
-            // if (extrinsics.length > 0) {
-            //     console.log(`📋 Extrinsics List:`);
-            //     extrinsics.forEach((ex, index) => {
-            //         const method = ex.method;
-            //         const signer = ex.isSigned ? ex.signer.toString() : 'Unsigned';
-            //         const hash = ex.hash.toHex();
-            //
-            //         console.log(`   [${index}] ${method.section}.${method.method}`);
-            //         console.log(`       Hash: ${hash}`);
-            //         console.log(`       Signer: ${signer}`);
-            //         console.log(`       Args: ${JSON.stringify(method.args, null, 2)}\n`);
-            //     });
-            // }
-
-            // Display important events
-            const importantEvents = events.filter(({ event }) =>
-                !['system.ExtrinsicSuccess', 'system.ExtrinsicFailed'].includes(`${event.section}.${event.method}`)
-            );
+            this.printEvents('📢 Initialization Events', groups.initialization.map(record => decodeEvent(record, { human: true })));
 
-            if (importantEvents.length > 0) {
-                console.log(`📢 Important Events:`);
-                importantEvents.forEach(({ event }, index) => {
-                    console.log(`   [${index}] ${event.section}.${event.method}`);
-                    console.log(`       Data: ${JSON.stringify(event.data.toHuman(), null, 2)}\n`);
-                });
+            // Display extrinsics information
+            if (extrinsics.length > 0) {
+                console.log(`📋 Extrinsics List:`);
+                extrinsics.forEach(ex => this.printExtrinsic(ex));
             }
 
+            this.printEvents('📢 Finalization Events', groups.finalization.map(record => decodeEvent(record, { human: true })));
+
         } catch (error) {
-            console.error(`❌ Block query failed: ${error.message}`);
+            this.fail('Block query', error);
         }
     }
 
-    // Query transaction information
-    async queryTransaction(txHash) {
-        try {
-            console.log(`🔍 Querying transaction ${txHash}...\n`);
+    // One decoded extrinsic of the block listing
+    printExtrinsic(ex) {
+        const result = ex.success === null ? '' : ex.success ? ' ✅' : ` ❌ ${ex.error}`;
+        console.log(`   [${ex.index}] ${ex.section}.${ex.method}${result}`);
+        console.log(`       Hash: ${ex.hash}`);
+        console.log(`       Signer: ${ex.signed ? ex.signer : 'Unsigned'}`);
+        if (ex.signed) {
+            console.log(`       Nonce: ${ex.nonce}, Tip: ${formatBalance(BigInt(ex.tip))}, Era: ${this.describeEra(ex.era)}`);
+        }
+        if (ex.fee !== null) {
+            console.log(`       Fee: ${formatBalance(BigInt(ex.fee))}`);
+        }
+        console.log(`       Args: ${JSON.stringify(ex.args, null, 2).replace(/\n/g, '\n       ')}`);
+        ex.events.forEach(({ section, method, data }) => {
+            console.log(`       ↳ ${section}.${method} ${JSON.stringify(data)}`);
+        });
+        console.log('');
+    }
 
-            // Search for the block containing this transaction
-            let found = false;
-            const latestBlock = await this.api.rpc.chain.getHeader();
-            const latestBlockNumber = latestBlock.number.toNumber();
+    printEvents(title, events) {
+        if (events.length === 0) return;
+        console.log(`${title}:`);
+        events.forEach(({ section, method, data }, index) => {
+            console.log(`   [${index}] ${section}.${method}`);
+            console.log(`       Data: ${JSON.stringify(data, null, 2)}\n`);
+        });
+    }
 
-            // Search backwards from the latest block (up to 1000 blocks)
-            const searchLimit = Math.max(0, latestBlockNumber - 1000);
+    describeEra(era) {
+        return era.mortal ? `mortal, period ${era.period}, valid #${era.birth}-#${era.death - 1}` : 'immortal';
+    }
 
-            for (let blockNum = latestBlockNumber; blockNum >= searchLimit; blockNum--) {
-                try {
-                    const blockHash = await this.api.rpc.chain.getBlockHash(blockNum);
-                    const block = await this.api.rpc.chain.getBlock(blockHash);
+    async finalizedNumber() {
+        const header = await this.api.rpc.chain.getHeader(await this.api.rpc.chain.getFinalizedHead());
+        return header.number.toNumber();
+    }
 
-                    const extrinsicIndex = block.block.extrinsics.findIndex(ex =>
-                        ex.hash.toHex() === txHash
-                    );
+    // Locate a transaction: the local index first, then a bounded parallel scan (newest first) of
+    // the scanDepth blocks up to the head (or --at) that the index doesn't cover
+    // -> { blockNumber, blockHash, block, extrinsicIndex, source } or { scanned: [[from, to]] }
+    async locateTransaction(txHash, { indexDir, scanDepth, concurrency, at }) {
+        const index = indexDir ? TxIndex.open(indexDir, this.api.genesisHash.toHex()) : null;
+        if (index) {
+            const entry = await index.lookup(txHash);
+            if (entry) {
+                const blockHash = await this.api.rpc.chain.getBlockHash(entry.block);
+                const block = await this.api.rpc.chain.getBlock(blockHash);
+                if (block.block.extrinsics[entry.index]?.hash.toHex() === txHash) {
+                    return { blockNumber: entry.block, blockHash, block, extrinsicIndex: entry.index, source: `local index (${indexDir})` };
+                }
+                this.log(`⚠️ Index entry #${entry.block}/${entry.index} does not match, scanning instead`);
+            }
+        }
 
-                    if (extrinsicIndex !== -1) {
-                        found = true;
-                        const extrinsic = block.block.extrinsics[extrinsicIndex];
-                        const events = await this.api.query.system.events.at(blockHash);
+        // the scan window ends at --at when given
+        const latestBlockNumber = (await this.resolveBlock(at)).number;
+        const lowest = Math.max(0, latestBlockNumber - scanDepth);
+        const scanned = index ? index.unindexed(lowest, latestBlockNumber) : [[lowest, latestBlockNumber]];
+        const blockNumbers = scanned.flatMap(([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => to - i)).sort((a, b) => b - a);
+        if (index && blockNumbers.length < latestBlockNumber - lowest + 1) {
+            this.log(`📇 Not in the local index; scanning ${blockNumbers.length} unindexed blocks of the last ${scanDepth}`);
+        }
 
-                        // Find events related to this transaction
-                        const txEvents = events.filter(({ phase }) =>
-                            phase.isApplyExtrinsic && phase.asApplyExtrinsic.toNumber() === extrinsicIndex
-                        );
-
-                        console.log(`✅ Transaction found!`);
-                        console.log(`📦 Block: #${blockNum}`);
-                        console.log(`📍 Extrinsic Index: ${extrinsicIndex}`);
-                        console.log(`🔗 Transaction Hash: ${txHash}`);
-                        console.log(`📝 Method: ${extrinsic.method.section}.${extrinsic.method.method}`);
-                        console.log(`👤 Signer: ${extrinsic.isSigned ? extrinsic.signer.toString() : 'Unsigned'}`);
-                        console.log(`💰 Tip: ${extrinsic.tip?.toHuman() || '0'}`);
-                        console.log(`🔢 Nonce: ${extrinsic.nonce?.toHuman() || 'N/A'}`);
-                        console.log(`📊 Args:`);
-                        console.log(JSON.stringify(extrinsic.method.args, null, 2));
-
-                        if (txEvents.length > 0) {
-                            console.log(`\n📢 Related Events:`);
-                            txEvents.forEach(({ event }, index) => {
-                                console.log(`   [${index}] ${event.section}.${event.method}`);
-                                console.log(`       Data: ${JSON.stringify(event.data.toHuman(), null, 2)}`);
-                            });
-                        }
-                        break;
-                    }
+        const limit = pLimit(concurrency);
+        const batchSize = concurrency * 4;
+        for (let start = 0; start < blockNumbers.length; start += batchSize) {
+            const batch = blockNumbers.slice(start, start + batchSize);
+            const results = await Promise.all(batch.map(blockNumber => limit(async () => {
+                try {
+                    const blockHash = await this.api.rpc.chain.getBlockHash(blockNumber);
+                    const block = await this.api.rpc.chain.getBlock(blockHash);
+                    const extrinsicIndex = block.block.extrinsics.findIndex(ex => ex.hash.toHex() === txHash);
+                    return extrinsicIndex === -1 ? null : { blockNumber, blockHash, block, extrinsicIndex, source: 'block scan' };
                 } catch (error) {
                     // Ignore single block query errors, continue searching
-                    continue;
+                    return null;
                 }
+            })));
+            const found = results.find(Boolean);
+            if (found) return found;
+            this.log(`🔍 Searching... down to block #${batch[batch.length - 1]}`);
+        }
+        return { scanned };
+    }
 
-                // Show progress every 100 blocks
-                if (blockNum % 100 === 0) {
-                    console.log(`🔍 Searching... Current block #${blockNum}`);
+    // Query transaction information
+    async queryTransaction(txHash, options) {
+        try {
+            this.log(`🔍 Querying transaction ${txHash}...\n`);
+            txHash = txHash.toLowerCase();
+
+            const location = await this.locateTransaction(txHash, options);
+            if (location.scanned) {
+                const ranges = location.scanned.map(([from, to]) => `#${from}-#${to}`).join(', ') || 'none';
+                if (this.json) {
+                    this.emit({ found: false, hash: txHash, indexDir: options.indexDir, scanned: location.scanned });
+                    return;
                 }
+                console.log(`❌ Transaction ${txHash} not found (index: ${options.indexDir}, scanned: ${ranges})`);
+                console.log(`💡 Tip: older transactions can be found after indexing their blocks: node query.js --build-index --index-from <block>`);
+                return;
             }
 
-            if (!found) {
-                console.log(`❌ Transaction ${txHash} not found in the last 1000 blocks`);
-                console.log(`💡 Tip: The transaction might be in earlier blocks, or the hash is incorrect`);
+            const { blockNumber, blockHash, block, extrinsicIndex } = location;
+            const events = await this.api.query.system.events.at(blockHash);
+
+            // Events related to this transaction
+            const txEvents = groupEvents(events).extrinsics.get(extrinsicIndex);
+            const ex = decodeExtrinsic(block.block.extrinsics[extrinsicIndex], extrinsicIndex, txEvents, blockNumber, { human: !this.json });
+
+            if (this.json) {
+                this.emit({ found: true, source: location.source, block: { number: blockNumber, hash: blockHash.toHex() }, extrinsic: ex });
+                return;
+            }
+
+            console.log(`✅ Transaction found! (via ${location.source})`);
+            console.log(`📦 Block: #${blockNumber}`);
+            console.log(`📍 Extrinsic Index: ${extrinsicIndex}`);
+            console.log(`🔗 Transaction Hash: ${txHash}`);
+            console.log(`📝 Method: ${ex.section}.${ex.method}`);
+            console.log(`👤 Signer: ${ex.signed ? ex.signer : 'Unsigned'}`);
+            console.log(`💰 Tip: ${ex.signed ? formatBalance(BigInt(ex.tip)) : '0'}`);
+            console.log(`🔢 Nonce: ${ex.signed ? ex.nonce : 'N/A'}`);
+            if (ex.signed) {
+                console.log(`⏳ Era: ${this.describeEra(ex.era)}`);
+            }
+            console.log(`💸 Fee: ${ex.fee !== null ? formatBalance(BigInt(ex.fee)) : 'N/A'}`);
+            console.log(`🏁 Result: ${ex.success === null ? 'unknown' : ex.success ? 'success' : `failed (${ex.error})`}`);
+            console.log(`📊 Args:`);
+            console.log(JSON.stringify(ex.args, null, 2));
+
+            if (ex.events.length > 0) {
+                console.log(`\n📢 Related Events:`);
+                ex.events.forEach(({ section, method, data }, index) => {
+                    console.log(`   [${index}] ${section}.${method}`);
+                    console.log(`       Data: ${JSON.stringify(data, null, 2)}`);
+                });
             }
 
         } catch (error) {
-            console.error(`❌ Transaction query failed: ${error.message}`);
+            this.fail('Transaction query', error);
         }
     }
 
-    // Query account information
-    async queryAccount(address) {
+    // Build or extend the local transaction index over finalized blocks; with follow, keep
+    // indexing newly finalized blocks until interrupted
+    async buildIndex({ indexDir, from, to, follow, concurrency }) {
+        this.indexing = true;
         try {
-            console.log(`🔍 Querying account ${address}...\n`);
+            const index = TxIndex.open(indexDir, this.api.genesisHash.toHex(), { create: true });
+            const finalized = await this.finalizedNumber();
+            if (to !== undefined && to > finalized) {
+                this.log(`⚠️ Only finalized blocks are indexed, stopping at #${finalized} instead of #${to}`);
+            }
+            const end = to === undefined ? finalized : Math.min(to, finalized);
+            const missing = index.unindexed(from, end).reduce((sum, [a, b]) => sum + b - a + 1, 0);
+            this.log(`📇 Indexing #${from}-#${end} into ${indexDir}: ${missing} blocks not indexed yet`);
+            const log = (...args) => this.log(...args);
+            const stop = () => this.stopRequested;
+            await index.build(this.api, from, end, { concurrency, log, stop });
+
+            // Following survives RPC errors: the failed range is retried (finished chunks are kept)
+            let last = end;
+            let failures = 0;
+            while (follow && !this.stopRequested) {
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, Math.min(60000, 6000 * 2 ** failures));
+                    this.wakeUp = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                if (this.stopRequested) break;
+                try {
+                    const head = await this.finalizedNumber();
+                    if (head > last) {
+                        await index.build(this.api, last + 1, head, { concurrency, log, stop });
+                        last = head;
+                    }
+                    failures = 0;
+                } catch (error) {
+                    failures = Math.min(failures + 1, 4);
+                    this.log(`⚠️ Indexing failed, retrying: ${error.message}`);
+                }
+            }
+            if (this.json) {
+                this.emit({ indexDir, ranges: index.ranges });
+                return;
+            }
+            console.log(`✅ Indexed ranges: ${index.ranges.map(([a, b]) => `#${a}-#${b}`).join(', ')}`);
+        } catch (error) {
+            this.fail('Indexing', error);
+        } finally {
+            this.indexing = false;
+        }
+    }
 
-            // Get basic account information
-            const account = await this.api.query.system.account(address);
-            const chainDecimals = this.api.registry.chainDecimals[0] || 12;
-            const chainToken = this.api.registry.chainTokens[0] || 'DOT';
+    // SIGINT while indexing: let the current chunk finish, then print the summary and return.
+    // false when there is nothing to stop that way (not indexing, or already stopping).
+    requestStop() {
+        if (!this.indexing || this.stopRequested) return false;
+        this.stopRequested = true;
+        if (this.wakeUp) this.wakeUp();
+        return true;
+    }
 
-            // Set formatting options
-            formatBalance.setDefaults({
-                decimals: chainDecimals,
-                unit: chainToken
-            });
+    // Account state at one block -> { nonce, free, reserved, frozen, staking, nomination, identity }
+    async accountSnapshot(address, blockHash) {
+        let apiAt;
+        try {
+            apiAt = await this.api.at(blockHash);
+        } catch (error) {
+            throw new Error(`State at ${blockHash.toHex()} is not available (${error.message}); historical state needs an archive node`);
+        }
+        const account = await apiAt.query.system.account(address);
+        const snapshot = {
+            nonce: account.nonce.toNumber(),
+            free: account.data.free.toBigInt(),
+            reserved: account.data.reserved.toBigInt(),
+            frozen: (account.data.frozen ?? account.data.miscFrozen).toBigInt(),
+            staking: null,
+            nomination: null,
+            identity: null
+        };
+
+        // Query staking information (if it's a staking account)
+        try {
+            const stakingLedger = await apiAt.query.staking.ledger(address);
+            if (!stakingLedger.isEmpty) {
+                const ledger = stakingLedger.unwrap();
+                snapshot.staking = { stash: ledger.stash.toString(), active: ledger.active.toBigInt(), total: ledger.total.toBigInt() };
+            }
+        } catch (stakingError) {
+            // Ignore staking query errors
+        }
+
+        // Query nominator information
+        try {
+            const nominators = await apiAt.query.staking.nominators(address);
+            if (!nominators.isEmpty) {
+                const nominator = nominators.unwrap();
+                snapshot.nomination = { targets: nominator.targets.map(v => v.toString()), submittedIn: nominator.submittedIn.toNumber() };
+            }
+        } catch (nominatorError) {
+            // Ignore nominator query errors
+        }
 
-            console.log(`👤 Account Information:`);
+        // Query identity information
+        try {
+            const identity = await apiAt.query.identity.identityOf(address);
+            if (!identity.isEmpty) {
+                const registration = identity.unwrap();
+                const info = (Array.isArray(registration) ? registration[0] : registration).info;
+                const text = field => field.isNone ? null : field.asRaw.toUtf8();
+                snapshot.identity = { display: text(info.display), web: text(info.web), email: text(info.email) };
+            }
+        } catch (identityError) {
+            // Ignore identity query errors
+        }
+        return snapshot;
+    }
+
+    setBalanceFormat() {
+        const chainDecimals = this.api.registry.chainDecimals[0] || 12;
+        const chainToken = this.api.registry.chainTokens[0] || 'DOT';
+
+        // Set formatting options
+        formatBalance.setDefaults({
+            decimals: chainDecimals,
+            unit: chainToken
+        });
+    }
+
+    // Query account information, as of --at (default: best block)
+    async queryAccount(address, { at } = {}) {
+        try {
+            this.log(`🔍 Querying account ${address}...\n`);
+
+            const block = await this.resolveBlock(at);
+            const snapshot = await this.accountSnapshot(address, block.hash);
+
+            if (this.json) {
+                this.emit({ address, block: { number: block.number, hash: block.hash.toHex() }, ...snapshot });
+                return;
+            }
+
+            console.log(`👤 Account Information (at block #${block.number}, ${block.hash.toHex()}):`);
             console.log(`   Address: ${address}`);
-            console.log(`   Nonce: ${account.nonce}`);
+            console.log(`   Nonce: ${snapshot.nonce}`);
             console.log(`   Balance Information:`);
-            console.log(`     Free Balance: ${formatBalance(account.data.free)}`);
-            console.log(`     Reserved Balance: ${formatBalance(account.data.reserved)}`);
-            console.log(`     Frozen Balance: ${formatBalance(account.data.frozen)}`);
-            console.log(`     Total Balance: ${formatBalance(account.data.free.add(account.data.reserved))}\n`);
-
-            // Query staking information (if it's a staking account)
-            try {
-                const stakingLedger = await this.api.query.staking.ledger(address);
-                if (!stakingLedger.isEmpty) {
-                    const ledger = stakingLedger.unwrap();
-                    console.log(`🏛️ Staking Information:`);
-                    console.log(`   Stash Controller: ${ledger.stash}`);
-                    console.log(`   Active Stake: ${formatBalance(ledger.active)}`);
-                    console.log(`   Total Stake: ${formatBalance(ledger.total)}`);
-                }
-            } catch (stakingError) {
-                // Ignore staking query errors
+            console.log(`     Free Balance: ${formatBalance(snapshot.free)}`);
+            console.log(`     Reserved Balance: ${formatBalance(snapshot.reserved)}`);
+            console.log(`     Frozen Balance: ${formatBalance(snapshot.frozen)}`);
+            console.log(`     Total Balance: ${formatBalance(snapshot.free + snapshot.reserved)}\n`);
+
+            if (snapshot.staking) {
+                console.log(`🏛️ Staking Information:`);
+                console.log(`   Stash Controller: ${snapshot.staking.stash}`);
+                console.log(`   Active Stake: ${formatBalance(snapshot.staking.active)}`);
+                console.log(`   Total Stake: ${formatBalance(snapshot.staking.total)}`);
+            }
+
+            if (snapshot.nomination) {
+                console.log(`🗳️ Nomination Information:`);
+                console.log(`   Nominated Validators:`);
+                snapshot.nomination.targets.forEach((validator, index) => {
+                    console.log(`     [${index}] ${validator}`);
+                });
+                console.log(`   Submitted in Era: ${snapshot.nomination.submittedIn}`);
             }
 
-            // Query nominator information
-            try {
-                const nominators = await this.api.query.staking.nominators(address);
-                if (!nominators.isEmpty) {
-                    const nominator = nominators.unwrap();
-                    console.log(`🗳️ Nomination Information:`);
-                    console.log(`   Nominated Validators:`);
-                    nominator.targets.forEach((validator, index) => {
-                        console.log(`     [${index}] ${validator.toString()}`);
-                    });
-                    console.log(`   Submitted in Era: ${nominator.submittedIn}`);
+            if (snapshot.identity) {
+                console.log(`🆔 Identity Information:`);
+                if (snapshot.identity.display !== null) {
+                    console.log(`   Display Name: ${snapshot.identity.display}`);
+                }
+                if (snapshot.identity.web !== null) {
+                    console.log(`   Website: ${snapshot.identity.web}`);
+                }
+                if (snapshot.identity.email !== null) {
+                    console.log(`   Email: ${snapshot.identity.email}`);
                 }
-            } catch (nominatorError) {
-                // Ignore nominator query errors
             }
 
-            // Query identity information
-            try {
-                const identity = await this.api.query.identity.identityOf(address);
-                if (!identity.isEmpty) {
-                    const info = identity.unwrap().info;
-                    console.log(`🆔 Identity Information:`);
-                    if (!info.display.isNone) {
-                        console.log(`   Display Name: ${info.display.asRaw.toUtf8()}`);
-                    }
-                    if (!info.web.isNone) {
-                        console.log(`   Website: ${info.web.asRaw.toUtf8()}`);
-                    }
-                    if (!info.email.isNone) {
-                        console.log(`   Email: ${info.email.asRaw.toUtf8()}`);
+        } catch (error) {
+            this.fail('Account query', error);
+        }
+    }
+
+    // Compare an account between two blocks; for ranges up to scanDepth blocks, also list the
+    // events in between that name the account (transfers, fees, rewards, slashes, ...)
+    async diffAccount(address, { at, diff, scanDepth, concurrency }) {
+        try {
+            const [from, to] = await Promise.all([this.resolveBlock(at), this.resolveBlock(diff)]);
+            this.log(`🔍 Comparing account ${address} between #${from.number} and #${to.number}...\n`);
+            const [before, after] = await Promise.all([this.accountSnapshot(address, from.hash), this.accountSnapshot(address, to.hash)]);
+
+            const rows = [
+                ['Nonce', before.nonce, after.nonce],
+                ['Free Balance', before.free, after.free],
+                ['Reserved Balance', before.reserved, after.reserved],
+                ['Frozen Balance', before.frozen, after.frozen],
+                ['Total Balance', before.free + before.reserved, after.free + after.reserved],
+                ['Active Stake', before.staking?.active ?? null, after.staking?.active ?? null],
+                ['Total Stake', before.staking?.total ?? null, after.staking?.total ?? null],
+                ['Nominations', before.nomination?.targets.join(',') ?? null, after.nomination?.targets.join(',') ?? null],
+                ['Display Name', before.identity?.display ?? null, after.identity?.display ?? null]
+            ];
+
+            const low = Math.min(from.number, to.number);
+            const high = Math.max(from.number, to.number);
+            let related = null;
+            const failedBlocks = [];
+            if (high - low <= scanDepth) {
+                // An event names the account when its address appears anywhere in the data, nested
+                // structs and enums included (matched on the lossless JSON form of the data)
+                const needle = JSON.stringify(this.api.createType('AccountId', address).toString());
+                const limit = pLimit(concurrency);
+                const blocks = await Promise.all(Array.from({ length: high - low }, (_, i) => limit(async () => {
+                    const blockNumber = low + 1 + i;
+                    try {
+                        const blockHash = await this.api.rpc.chain.getBlockHash(blockNumber);
+                        const events = await this.api.query.system.events.at(blockHash);
+                        return { blockNumber, events: events.filter(({ event }) => JSON.stringify(toPlain(event.data)).includes(needle)) };
+                    } catch (error) {
+                        // Skip blocks whose events can't be read, report them below
+                        failedBlocks.push(blockNumber);
+                        return { blockNumber, events: [] };
                     }
-                }
-            } catch (identityError) {
-                // Ignore identity query errors
+                })));
+                failedBlocks.sort((a, b) => a - b);
+                related = blocks.flatMap(({ blockNumber, events }) => events.map(record => ({
+                    block: blockNumber,
+                    phase: record.phase.isApplyExtrinsic ? `extrinsic ${record.phase.asApplyExtrinsic}` : record.phase.type.toLowerCase(),
+                    ...decodeEvent(record, { human: !this.json })
+                })));
+            }
+
+            if (this.json) {
+                this.emit({
+                    address,
+                    from: { number: from.number, hash: from.hash.toHex() },
+                    to: { number: to.number, hash: to.hash.toHex() },
+                    before,
+                    after,
+                    events: related,
+                    failedBlocks
+                });
+                return;
+            }
+
+            const change = (a, b) => {
+                if (a === b) return '';
+                if (typeof a === 'number') return `${b > a ? '+' : ''}${b - a}`;
+                return typeof a === 'bigint' && typeof b === 'bigint'
+                    ? `${b > a ? '+' : '-'}${formatBalance(b > a ? b - a : a - b)}`
+                    : 'changed';
+            };
+            const show = (v) => v === null || v === undefined ? '-' : typeof v === 'bigint' ? formatBalance(v) : String(v);
+            console.log(`📊 Account Diff (#${from.number} → #${to.number}):`);
+            console.log(`   ${'Field'.padEnd(18)} ${`#${from.number}`.padStart(24)} ${`#${to.number}`.padStart(24)}  Change`);
+            rows.forEach(([label, a, b]) => {
+                console.log(`   ${label.padEnd(18)} ${show(a).padStart(24)} ${show(b).padStart(24)}  ${change(a, b)}`);
+            });
+
+            if (related === null) {
+                console.log(`\n💡 Tip: events are listed for ranges up to --scan-depth (${scanDepth}) blocks`);
+                return;
+            }
+            console.log(`\n📢 Events naming the account in #${low + 1}-#${high}: ${related.length}`);
+            related.forEach(({ block, phase, section, method, data }) => {
+                console.log(`   #${block} (${phase}) ${section}.${method} ${JSON.stringify(data)}`);
+            });
+            if (failedBlocks.length) {
+                console.log(`⚠️ Events of ${failedBlocks.length} blocks could not be read: ${failedBlocks.slice(0, 20).map(n => `#${n}`).join(', ')}${failedBlocks.length > 20 ? ', ...' : ''}`);
             }
 
         } catch (error) {
-            console.error(`❌ Account query failed: ${error.message}`);
+            this.fail('Account diff', error);
         }
     }
 }
 
+let activeQuery = null; // for the SIGINT handler
+
 // Main function
 async function main() {
     const argv = yargs(hideBin(process.argv))
@@ -268,8 +589,8 @@ async function main() {
         })
         .option('block', {
             alias: 'b',
-            type: 'number',
-            describe: 'Query information for the specified block number'
+            type: 'string',
+            describe: 'Query information for the specified block number or hash'
         })
         .option('transaction', {
             alias: 't',
@@ -281,15 +602,66 @@ async function main() {
             type: 'string',
             describe: 'Query information for the specified account address'
         })
+        .option('at', {
+            type: 'string',
+            describe: 'Block number or hash to query at: account state as of that block, -t scans down from it, alone it shows the block'
+        })
+        .option('diff', {
+            type: 'string',
+            describe: 'With -a, compare the account at --at (default: best block) with this block number or hash'
+        })
+        .option('format', {
+            alias: 'f',
+            choices: ['text', 'json'],
+            default: 'text',
+            describe: 'Output format: text, or json (one document on stdout, progress messages on stderr)'
+        })
+        .option('index-dir', {
+            type: 'string',
+            default: DEFAULT_INDEX_DIR,
+            describe: 'Directory of the local transaction index used by -t (built with --build-index)'
+        })
+        .option('scan-depth', {
+            type: 'number',
+            default: 1000,
+            describe: 'How many blocks below the head -t scans for transactions missing from the index'
+        })
+        .option('concurrency', {
+            alias: 'c',
+            type: 'number',
+            default: 8,
+            describe: 'Parallel block fetches when scanning or indexing'
+        })
+        .option('build-index', {
+            type: 'boolean',
+            describe: 'Index extrinsic hashes of finalized blocks into --index-dir (resumable, only missing blocks are fetched)'
+        })
+        .option('index-from', {
+            type: 'number',
+            default: 0,
+            describe: 'First block to index'
+        })
+        .option('index-to', {
+            type: 'number',
+            describe: 'Last block to index (default: finalized head)'
+        })
+        .option('follow', {
+            type: 'boolean',
+            describe: 'With --build-index, keep indexing newly finalized blocks until interrupted'
+        })
         .example('$0 -b 12345', 'Query information for block #12345')
         .example('$0 -t 0x1234...', 'Query information for transaction hash')
         .example('$0 -a 1A1zP1eP...', 'Query information for account address')
+        .example('$0 -a 1A1zP1eP... --at 12000 --diff 12050', 'Show how the account changed between blocks #12000 and #12050')
         .example('$0 -e ws://127.0.0.1:9944 -b 100', 'Connect to specified node and query block')
+        .example('$0 -b 100 --format json | jq .extrinsics', 'Decoded extrinsics of block #100 as JSON')
+        .example('$0 --build-index --index-from 0 --follow', 'Index all finalized blocks, then keep up with finality')
         .help('h')
         .alias('h', 'help')
         .argv;
 
-    const query = new PolkaQuery(argv.endpoint);
+    const query = new PolkaQuery(argv.endpoint, argv.format);
+    activeQuery = query;
 
     // Connect to node
     const connected = await query.connect();
@@ -301,12 +673,34 @@ async function main() {
         // Execute queries based on parameters
         if (argv.block !== undefined) {
             await query.queryBlock(argv.block);
+        } else if (argv['build-index']) {
+            await query.buildIndex({
+                indexDir: argv['index-dir'],
+                from: argv['index-from'],
+                to: argv['index-to'],
+                follow: argv.follow,
+                concurrency: argv.concurrency
+            });
         } else if (argv.transaction) {
-            await query.queryTransaction(argv.transaction);
+            await query.queryTransaction(argv.transaction, {
+                indexDir: argv['index-dir'],
+                scanDepth: argv['scan-depth'],
+                concurrency: argv.concurrency,
+                at: argv.at
+            });
+        } else if (argv.account && argv.diff !== undefined) {
+            await query.diffAccount(argv.account, {
+                at: argv.at,
+                diff: argv.diff,
+                scanDepth: argv['scan-depth'],
+                concurrency: argv.concurrency
+            });
         } else if (argv.account) {
-            await query.queryAccount(argv.account);
+            await query.queryAccount(argv.account, { at: argv.at });
+        } else if (argv.at !== undefined) {
+            await query.queryBlock(argv.at);
         } else {
-            console.log('❌ Please provide query parameters (--block, --transaction, or --account)');
+            console.log('❌ Please provide query parameters (--block, --transaction, --account, --at or --build-index)');
             console.log('Use --help to see usage');
         }
     } finally {
@@ -321,7 +715,13 @@ process.on('unhandledRejection', (error) => {
 });
 
 process.on('SIGINT', () => {
-    console.log('\n👋 Received interrupt signal, exiting...');
+    // through query.log, so a --format json document on stdout stays intact
+    const log = activeQuery ? activeQuery.log.bind(activeQuery) : console.log;
+    if (activeQuery && activeQuery.requestStop()) {
+        log('\n👋 Received interrupt signal, stopping after the current chunk (Ctrl+C again to exit now)...');
+        return;
+    }
+    log('\n👋 Received interrupt signal, exiting...');
     process.exit(0);
 });
 
@@ -4,8 +4,11 @@ set -e
 
 DELAY_SECONDS=${DELAY_SECONDS:-18000} # 5 * 3600
 WS_ENDPOINT=${WS_ENDPOINT:-ws://node1:9944}
+FALLBACK_ENDPOINTS=${FALLBACK_ENDPOINTS:-} # Optional comma-separated extra endpoints for collect.js failover
 START_BLOCK=${START_BLOCK:-1} # Can be number | HEAD_AT_SCRIPT_START | HEAD_AT_COLLECTION_START
 END_BLOCK=${END_BLOCK:-}       # Optional explicit end block (number)
+FROM_TIME=${FROM_TIME:-}       # Optional wall-clock start (ISO time or duration ago, e.g. 2025-01-01T00:00:00Z or 6h); overrides START_BLOCK
+TO_TIME=${TO_TIME:-}           # Optional wall-clock end (exclusive); overrides END_BLOCK
 OUTPUT_FORMAT=${OUTPUT_FORMAT:-json} # table|json|csv (collect.js supports these)
 RESULT_DIR=${RESULT_DIR:-/data/collector}
 TIMESTAMP=$(date -u +%Y%m%d%H%M%S)
@@ -16,6 +19,7 @@ MIN_BLOCKS=${MIN_BLOCKS:-0}
 INCLUDE_EMPTY=${INCLUDE_EMPTY:-false}
 VERBOSE=${VERBOSE:-false}
 EXTRA_ARGS=${EXTRA_ARGS:-} # Pass-through extra args for collect.js
+CACHE_DIR=${CACHE_DIR:-$RESULT_DIR/cache} # Block cache + checkpoints, survives container restarts
 META_FILE=${META_FILE:-$RESULT_DIR/result-${TIMESTAMP}.meta.txt}
 
 mkdir -p "$RESULT_DIR"
@@ -53,10 +57,24 @@ if [ "$INITIAL_START_BLOCK" = "__DEFERRED__" ]; then
   RESOLVED_START_BLOCK=$(fetch_head || echo 1)
 fi
 
-# Build command args
-CMD_ARGS="-s $RESOLVED_START_BLOCK -u $WS_ENDPOINT -o $OUTPUT_FORMAT -f $OUTPUT_FILE -b $BATCH_SIZE --sort-by $SORT_BY --min-blocks $MIN_BLOCKS $EXTRA_ARGS"
+# Build command args (FROM_TIME replaces the start block, TO_TIME the end block).
+# Time values may contain spaces ("last 6h"), so they go into the quoted positional args.
+set --
+if [ -n "$FROM_TIME" ]; then
+  set -- "$@" --from-time "$FROM_TIME"
+  RANGE_ARGS=""
+else
+  RANGE_ARGS="-s $RESOLVED_START_BLOCK"
+fi
+if [ -n "$TO_TIME" ]; then
+  set -- "$@" --to-time "$TO_TIME"
+fi
+CMD_ARGS="$RANGE_ARGS -u $WS_ENDPOINT -o $OUTPUT_FORMAT -f $OUTPUT_FILE -b $BATCH_SIZE --sort-by $SORT_BY --min-blocks $MIN_BLOCKS --cache-dir $CACHE_DIR $EXTRA_ARGS"
 
-if [ -n "$END_BLOCK" ]; then
+if [ -n "$FALLBACK_ENDPOINTS" ]; then
+  CMD_ARGS="$CMD_ARGS -u $FALLBACK_ENDPOINTS"
+fi
+if [ -n "$END_BLOCK" ] && [ -z "$TO_TIME" ]; then
   CMD_ARGS="$CMD_ARGS -e $END_BLOCK"
 fi
 if [ "$INCLUDE_EMPTY" = "true" ]; then
@@ -66,7 +84,7 @@ if [ "$VERBOSE" = "true" ]; then
   CMD_ARGS="$CMD_ARGS -v"
 fi
 
-echo "[run-collector] Starting collection: resolvedStartBlock=$RESOLVED_START_BLOCK endBlock=${END_BLOCK:-LATEST} endpoint=$WS_ENDPOINT format=$OUTPUT_FORMAT file=$OUTPUT_FILE"
+echo "[run-collector] Starting collection: resolvedStartBlock=$RESOLVED_START_BLOCK endBlock=${END_BLOCK:-FINALIZED} endpoint=$WS_ENDPOINT format=$OUTPUT_FORMAT file=$OUTPUT_FILE"
 
 set -x
 node link-node-names.js -n nodes.txt -r $WS_ENDPOINT
@@ -74,7 +92,7 @@ if [ "1" = "1" ]; then
   CMD_ARGS="$CMD_ARGS --role node-validator-map.json"
 fi
 
-node collect.js $CMD_ARGS
+node collect.js "$@" $CMD_ARGS
 STATUS=$?
 set +x
 
@@ -83,7 +101,9 @@ set +x
   echo "timestamp_utc=$TIMESTAMP";
   echo "ws_endpoint=$WS_ENDPOINT";
   echo "start_block=$RESOLVED_START_BLOCK";
-  echo "end_block=${END_BLOCK:-latest}";
+  echo "end_block=${END_BLOCK:-finalized}";
+  echo "from_time=$FROM_TIME";
+  echo "to_time=$TO_TIME";
   echo "output_file=$OUTPUT_FILE";
   echo "format=$OUTPUT_FORMAT";
   echo "batch_size=$BATCH_SIZE";
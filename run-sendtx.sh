@@ -2,7 +2,11 @@
 set -e
 WS_ENDPOINT=${WS_ENDPOINT:-ws://node1:9944}
 SEED=${SEED:-//Alice}
-: "${TO:?Environment variable TO (destination address) must be set}" || exit 1
+SCENARIO=${SCENARIO:-}
+REPLAY=${REPLAY:-}
+if [ -z "$SCENARIO" ] && [ -z "$REPLAY" ]; then
+  : "${TO:?Environment variable TO (destination address) must be set}" || exit 1
+fi
 TPS=${TPS:-1}
 DURATION=${DURATION:-3600}
 AMOUNT=${AMOUNT:-1000000000000}
@@ -11,6 +15,21 @@ NONCE_AUTO=${NONCE_AUTO:-true}
 WAIT_SECONDS=${WAIT_SECONDS:-0} # Optional extra wait before start
 READY_RETRIES=${READY_RETRIES:-20}
 READY_INTERVAL=${READY_INTERVAL:-5}
+SENDERS=${SENDERS:-1}
+MNEMONIC_FILE=${MNEMONIC_FILE:-}
+FUND_AMOUNT=${FUND_AMOUNT:-}
+TX_LOG=${TX_LOG:-}
+PROFILE=${PROFILE:-}
+RETRIES=${RETRIES:-0}
+SUBMIT_TIMEOUT=${SUBMIT_TIMEOUT:-120}
+PRESIGN=${PRESIGN:-false}
+PRESIGN_FILE=${PRESIGN_FILE:-}
+ENDPOINTS=${ENDPOINTS:-}
+NODES_FILE=${NODES_FILE:-}
+DISTRIBUTION=${DISTRIBUTION:-round-robin}
+PREFLIGHT=${PREFLIGHT:-true}
+BALANCE_FLOOR=${BALANCE_FLOOR:-}
+ON_FLOOR=${ON_FLOOR:-stop}
 EXTRA_ARGS=${EXTRA_ARGS:-}
 
 wait_for_ready() {
@@ -34,5 +53,46 @@ fi
 
 wait_for_ready || true
 
-echo "[run-sendtx] Starting sendtx with ws=$WS_ENDPOINT seed=$SEED to=$TO tps=$TPS duration=$DURATION amount=$AMOUNT concurrency=$CONCURRENCY nonceAuto=$NONCE_AUTO"
-exec node sendtx.js --ws "$WS_ENDPOINT" --seed "$SEED" --to "$TO" --tps "$TPS" --duration "$DURATION" --amount "$AMOUNT" --concurrency "$CONCURRENCY" --nonceAuto "$NONCE_AUTO" $EXTRA_ARGS
+SENDER_ARGS="--senders $SENDERS --retries $RETRIES --submitTimeout $SUBMIT_TIMEOUT --distribution $DISTRIBUTION --preflight $PREFLIGHT"
+if [ -n "$BALANCE_FLOOR" ]; then
+  SENDER_ARGS="$SENDER_ARGS --balanceFloor $BALANCE_FLOOR --onFloor $ON_FLOOR"
+fi
+if [ -n "$ENDPOINTS" ]; then
+  SENDER_ARGS="$SENDER_ARGS --endpoints $ENDPOINTS"
+fi
+if [ -n "$NODES_FILE" ]; then
+  SENDER_ARGS="$SENDER_ARGS --nodesFile $NODES_FILE"
+fi
+if [ -n "$MNEMONIC_FILE" ]; then
+  SENDER_ARGS="$SENDER_ARGS --mnemonicFile $MNEMONIC_FILE"
+fi
+if [ -n "$FUND_AMOUNT" ]; then
+  SENDER_ARGS="$SENDER_ARGS --fund $FUND_AMOUNT"
+fi
+if [ -n "$SCENARIO" ]; then
+  SENDER_ARGS="$SENDER_ARGS --scenario $SCENARIO"
+fi
+if [ -n "$TX_LOG" ]; then
+  SENDER_ARGS="$SENDER_ARGS --txLog $TX_LOG"
+fi
+if [ "$PRESIGN" = "true" ]; then
+  SENDER_ARGS="$SENDER_ARGS --presign"
+  if [ -n "$PRESIGN_FILE" ]; then
+    SENDER_ARGS="$SENDER_ARGS --presignFile $PRESIGN_FILE"
+  fi
+fi
+if [ -n "$REPLAY" ]; then
+  SENDER_ARGS="$SENDER_ARGS --replay $REPLAY"
+fi
+if [ -n "$TO" ]; then
+  SENDER_ARGS="$SENDER_ARGS --to $TO"
+fi
+# A load profile defines its own rate and duration
+if [ -n "$PROFILE" ]; then
+  RATE_ARGS="--profile $PROFILE"
+else
+  RATE_ARGS="--tps $TPS --duration $DURATION"
+fi
+
+echo "[run-sendtx] Starting sendtx with ws=$WS_ENDPOINT seed=$SEED to=$TO $RATE_ARGS amount=$AMOUNT concurrency=$CONCURRENCY nonceAuto=$NONCE_AUTO senders=$SENDERS"
+exec node sendtx.js --ws "$WS_ENDPOINT" --seed "$SEED" $RATE_ARGS --amount "$AMOUNT" --concurrency "$CONCURRENCY" --nonceAuto "$NONCE_AUTO" $SENDER_ARGS $EXTRA_ARGS
@@ -8,16 +8,53 @@
  * Arguments (yargs style):
  *  --ws           WebSocket RPC endpoint (default: ws://127.0.0.1:9944)
  *  --seed         Sender account seed or mnemonic (default: //Alice)
- *  --to           Destination address (you can invoke multiple times with different targets or randomize externally)
+ *  --to           Destination address (required unless --scenario is used; available there as $to)
  *  --amount       Transfer amount in the chain base unit (e.g. Planck) (default: 1000000000000)
  *  --tps          Transactions per second (default: 1)
  *  --duration     Total sending duration in seconds (mutually exclusive with --totalTxs)
  *  --totalTxs     Total number of transactions to send (mutually exclusive with --duration)
  *  --concurrency  Max number of concurrent signing/sending tasks (default: 100)
  *  --nonceAuto    Whether to auto-read and maintain a local nonce counter (true/false, default true)
+ *  --senders      Number of sender accounts derived from --seed as <seed>//0 .. <seed>//N-1 (default 1 = --seed itself)
+ *  --mnemonicFile File with one mnemonic / secret URI per line to use as senders instead (--senders limits the count)
+ *  --fund         Before sending, top up every sender account to this balance (base unit) from the --seed account
+ *  --scenario     JSON/YAML file with a weighted mix of calls to send instead of transfers (see lib/scenario.js)
+ *  --txLog        Write one JSON record per transaction (submit/ready/inBlock/finalized timestamps) to this file
+ *  --finalityTimeout  Seconds to wait for outstanding finalizations after the last submission (default 60)
+ *  --submitTimeout    Seconds a submitted transaction may take to reach a block before it is given up
+ *                     as 'timeout' (resynced and retried like a pool rejection) (default 120)
+ *  --profile      Load phases instead of --tps/--duration, e.g. "ramp:10-500:5m,hold:500:10m,spike:1000:30s"
+ *                 or a JSON/YAML file (see lib/load-profile.js); the summary is broken down per phase
+ *  --retries      Resubmit a transaction rejected before inclusion up to N times (default 0)
+ *  --retryBudget  Max retries over the whole run (default: unlimited)
+ *  --presign      Sign all planned transactions before sending and submit the raw bytes (author_submitExtrinsic)
+ *  --presignFile  With --presign, also save the signed extrinsics to this file (JSONL)
+ *  --replay       Submit the extrinsics of a saved --presignFile instead of building new ones
+ *                 (all of them at --tps unless --duration/--totalTxs/--profile is given)
+ *  --mortality    Era length in blocks for presigned transactions (default: chain blockHashCount, 0 = immortal)
+ *  --endpoints    Comma-separated WS endpoints to submit to instead of --ws (which still serves metadata and nonces)
+ *  --nodesFile    Submit to the nodes of a link-node-names.js nodes file (name,ws://endpoint[,weight] per line)
+ *  --weights      Comma-separated weights for --endpoints (same order)
+ *  --distribution round-robin | weighted (default round-robin); the summary reports stats per endpoint
+ *  --preflight    Estimate fees (paymentInfo, system.dryRun) and refuse to start if a sender can't afford
+ *                 its share of the run (default true, --no-preflight to skip)
+ *  --balanceFloor Stop (or pause, see --onFloor) sending once a sender's spendable balance drops below this (base unit)
+ *  --onFloor      stop | pause (default stop): pause skips low senders until topped up; txs due meanwhile are skipped
+ *
+ * The summary reports submit->inBlock and submit->finalized latency percentiles (p50/p90/p99)
+ * and achieved vs target TPS per second.
+ *
+ * Transactions are spread round-robin over the senders, each with its own nonce sequence.
+ * When a transaction is rejected (Invalid, Usurped, Dropped, pool full, ...), the sender's nonce is
+ * resynced from system.accountNextIndex; a nonce left unused is refilled (by the retry, or by an
+ * empty remark) so the sender's later transactions don't stall as Future.
+ * Presigned transactions keep their nonces and are not retried.
+ * Included transactions are checked against system.ExtrinsicFailed in their block's events; a failed
+ * dispatch counts as failed, with the module error decoded through the metadata.
  *
  * Example:
  *  node sendtx.js --ws ws://127.0.0.1:9944 --seed "//Alice" --to "<dest>" --tps 10 --duration 60
+ *  node sendtx.js --ws ws://127.0.0.1:9944 --seed "//Alice" --senders 50 --fund 100000000000000 --to "<dest>" --tps 500 --duration 60
  */
 
 import { ApiPromise, WsProvider } from '@polkadot/api';
@@ -25,28 +62,95 @@ import { Keyring } from '@polkadot/keyring';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import pLimit from 'p-limit';
+import { SenderPool } from './lib/sender-pool.js';
+import { compileScenario, loadScenario } from './lib/scenario.js';
+import { TxTracker, formatHistogram, formatTpsReport, latencyStats } from './lib/latency.js';
+import { constantProfile, parseProfile } from './lib/load-profile.js';
+import { DispatchOutcomes, formatReasons, rejectionReason } from './lib/tx-errors.js';
+import { InclusionWatcher, loadSigned, presignBatch, saveSigned } from './lib/presign.js';
+import { SubmitTargets } from './lib/submit-targets.js';
+import { parseNodesFile } from './lib/node-mapping.js';
+import { chainAmountInfo, formatAmount } from './lib/amount.js';
+import { BalanceGuard, callValue, checkBudget, previewCalls } from './lib/fee-budget.js';
 
 (async () => {
     const argv = yargs(hideBin(process.argv))
         .option('ws', { type: 'string', default: 'ws://127.0.0.1:9944' })
         .option('seed', { type: 'string', default: '//Alice' })
-        .option('to', { type: 'string', demandOption: true })
+        .option('to', { type: 'string' })
         .option('amount', { type: 'string', default: '1000000000000' })
         .option('tps', { type: 'number', default: 1 })
         .option('duration', { type: 'number' })
         .option('totalTxs', { type: 'number' })
         .option('concurrency', { type: 'number', default: 100 })
         .option('nonceAuto', { type: 'boolean', default: true })
+        .option('senders', { type: 'number', default: 1 })
+        .option('mnemonicFile', { type: 'string' })
+        .option('fund', { type: 'string' })
+        .option('scenario', { type: 'string' })
+        .option('txLog', { type: 'string' })
+        .option('finalityTimeout', { type: 'number', default: 60 })
+        .option('submitTimeout', { type: 'number', default: 120 })
+        .option('profile', { type: 'string' })
+        .option('retries', { type: 'number', default: 0 })
+        .option('retryBudget', { type: 'number' })
+        .option('presign', { type: 'boolean', default: false })
+        .option('presignFile', { type: 'string' })
+        .option('replay', { type: 'string' })
+        .option('mortality', { type: 'number' })
+        .option('endpoints', { type: 'string' })
+        .option('nodesFile', { type: 'string' })
+        .option('weights', { type: 'string' })
+        .option('distribution', { type: 'string', choices: ['round-robin', 'weighted'], default: 'round-robin' })
+        .option('preflight', { type: 'boolean', default: true })
+        .option('balanceFloor', { type: 'string' })
+        .option('onFloor', { type: 'string', choices: ['stop', 'pause'], default: 'stop' })
         .argv;
 
-    if (!argv.duration && !argv.totalTxs) {
-        console.error('please provide --duration or --totalTxs ');
+    if (argv.profile && (argv.duration || argv.totalTxs)) {
+        console.error('--profile defines its own duration, don\'t combine it with --duration or --totalTxs');
+        process.exit(1);
+    }
+    if (!argv.duration && !argv.totalTxs && !argv.profile && !argv.replay) {
+        console.error('please provide --duration, --totalTxs or --profile');
         process.exit(1);
     }
     if (argv.duration && argv.totalTxs) {
         console.error('can\'t provide --duration and --totalTxs together');
         process.exit(1);
     }
+    if (!argv.to && !argv.scenario && !argv.replay) {
+        console.error('please provide --to or --scenario');
+        process.exit(1);
+    }
+    if (argv.replay && (argv.presign || argv.scenario || argv.fund)) {
+        console.error('--replay sends a saved file as is, it can\'t be combined with --presign, --scenario or --fund');
+        process.exit(1);
+    }
+    if (argv.presignFile && !argv.presign) {
+        console.error('--presignFile needs --presign');
+        process.exit(1);
+    }
+    if (argv.endpoints && argv.nodesFile) {
+        console.error('use either --endpoints or --nodesFile');
+        process.exit(1);
+    }
+    if (argv.weights && !argv.endpoints) {
+        console.error('--weights applies to --endpoints (put weights in the third column of a --nodesFile)');
+        process.exit(1);
+    }
+    if (argv.onFloor === 'pause' && argv.balanceFloor && (argv.presign || argv.replay)) {
+        console.error('--onFloor pause would leave nonce gaps in presigned transactions, use --onFloor stop');
+        process.exit(1);
+    }
+    if (argv.presign && !argv.nonceAuto) {
+        console.error('--presign assigns nonces up front, it needs --nonceAuto');
+        process.exit(1);
+    }
+    if (!(argv.senders >= 1)) {
+        console.error('--senders must be at least 1');
+        process.exit(1);
+    }
 
     const ws = argv.ws;
     const tps = argv.tps;
@@ -61,82 +165,390 @@ import pLimit from 'p-limit';
     console.log(`Connecting to ${ws} ...`);
     const provider = new WsProvider(ws);
     const api = await ApiPromise.create({ provider });
+    const tokenInfo = chainAmountInfo(api);
 
-    // Keyring and account
+    // Keyring and accounts: the --seed account funds the pool and is the only sender by default
     const keyring = new Keyring({ type: 'sr25519' });
-    const sender = keyring.addFromUri(seed);
-    console.log(`Using sender: ${sender.address}`);
+    const master = keyring.addFromUri(seed);
+    let senders;
+    if (argv.mnemonicFile) {
+        senders = SenderPool.fromFile(keyring, argv.mnemonicFile, argv.senders > 1 ? argv.senders : 0);
+    } else if (argv.senders > 1) {
+        senders = SenderPool.fromSeed(keyring, seed, argv.senders);
+    } else {
+        senders = new SenderPool([master]);
+    }
+    if (senders.size === 1) {
+        console.log(`Using sender: ${senders.senders[0].address}`);
+    } else {
+        console.log(`Using ${senders.size} senders (round-robin), master account: ${master.address}`);
+    }
 
     // Get chain info for fee calculation if needed
     const chain = await api.rpc.system.chain();
     console.log(`Connected to chain: ${chain}`);
 
-    // optional: maintain nonce manually for higher throughput
-    let currentNonce = null;
-    if (nonceAuto) {
-        currentNonce = (await api.query.system.account(sender.address)).nonce.toNumber();
-        console.log(`Starting nonce (auto-read): ${currentNonce}`);
+    // Submission endpoints (--ws alone by default)
+    let endpointList = [{ name: ws, endpoint: ws }];
+    if (argv.nodesFile) {
+        endpointList = parseNodesFile(argv.nodesFile);
+    } else if (argv.endpoints) {
+        const weights = argv.weights ? String(argv.weights).split(',').map(Number) : [];
+        endpointList = argv.endpoints.split(',').map(e => e.trim()).filter(Boolean)
+            .map((endpoint, i) => ({ name: endpoint, endpoint, weight: weights[i] ?? 1 }));
+        if (weights.length !== (argv.weights ? endpointList.length : 0) || weights.some(w => !(w > 0))) {
+            console.error('--weights needs one positive number per endpoint');
+            process.exit(1);
+        }
+    }
+    const targets = await new SubmitTargets(endpointList, argv.distribution).connect({ api, provider, endpoint: ws });
+    if (argv.endpoints || argv.nodesFile) {
+        console.log(`Submitting to ${targets.size} endpoints (${argv.distribution}): ` +
+            targets.targets.map(t => `${t.name}${argv.distribution === 'weighted' ? ` x${t.weight}` : ''}`).join(', '));
+    }
+
+    // Scenario calls are checked against the runtime metadata before anything is sent
+    let scenario = null;
+    if (argv.scenario) {
+        scenario = compileScenario(api, loadScenario(argv.scenario), { sender: senders.senders[0].address, to: dest });
+        const totalWeight = scenario.entries.reduce((sum, e) => sum + e.weight, 0);
+        console.log(`Scenario ${argv.scenario}: ` + scenario.entries.map(e => `${e.label} ${(e.weight / totalWeight * 100).toFixed(1)}%`).join(', '));
+    }
+    const perCall = {}; // scenario label -> { succeeded, failed }
+
+    if (argv.fund) {
+        await senders.fund(api, master, argv.fund);
+    }
+
+    // A replay brings its own extrinsics (nonces included)
+    let signed = null;
+    if (argv.replay) {
+        signed = (await loadSigned(argv.replay, api)).items;
+        console.log(`Replaying ${signed.length} presigned extrinsics from ${argv.replay}`);
+    }
+
+    // Scheduler: follow the load profile; plain --tps is a single constant phase
+    // (for --duration OR until --totalTxs reached; a replay defaults to the whole file)
+    const profile = argv.profile ? parseProfile(argv.profile) : constantProfile(tps, duration ?? (totalTxs ?? signed?.length) / tps);
+    let plannedTotal = argv.profile ? profile.total : (totalTxs ?? (duration ? Math.ceil(duration * tps) : signed.length));
+    if (signed && plannedTotal > signed.length) {
+        console.log(`Replay file holds ${signed.length} extrinsics, planned ${plannedTotal}; sending what's there`);
+        plannedTotal = signed.length;
+    }
+    if (argv.profile) {
+        console.log('Load profile: ' + profile.phases.map(p => `${p.name} ${p.label} for ${p.duration}s`).join(', '));
+        console.log(`Planned total txs: ${plannedTotal} over ${profile.duration}s`);
+    } else {
+        console.log(`Planned total txs: ${plannedTotal} (tps=${tps}, interval=${1000 / tps}ms)`);
+    }
+
+    // optional: maintain nonces manually for higher throughput (one counter per sender)
+    if (nonceAuto && !argv.replay) {
+        await senders.syncNonces(api);
+        if (senders.size === 1) {
+            console.log(`Starting nonce (auto-read): ${senders.senders[0].nonce}`);
+        } else {
+            console.log(`Starting nonces (auto-read): ${senders.senders.map(s => s.nonce).join(', ')}`);
+        }
     }
 
     let sent = 0;
     let succeeded = 0;
     let failed = 0;
+    let retryBudget = argv.retryBudget ?? Infinity;
+    const retries = {}; // reason -> retries
+    const dropped = {}; // reason -> transactions given up
+    const failedInBlock = {}; // decoded dispatch error -> included transactions that failed
+    let unverified = 0; // included, but the dispatch outcome could not be read
+    const outcomes = new DispatchOutcomes(api);
+    const settling = []; // outcome checks of presigned transactions
+    let gapsFilled = 0;
+    const gapFills = []; // awaited before the summary so the count is complete
+    let skippedLow = 0;
+
+    // Pre-flight: fee of every call kind, and whether each sender can pay for its share of the run
+    if (argv.preflight && !argv.replay) {
+        const sample = senders.senders[0];
+        const samples = scenario
+            ? scenario.entries.map(e => {
+                const tx = scenario.build(e, { sender: sample.address, to: dest });
+                return { label: e.label, weight: e.weight, value: callValue(tx.method), tx };
+            })
+            : [{ label: 'balances.transfer', weight: 1, value: BigInt(amount), tx: api.tx.balances.transfer(dest, amount) }];
+        const unknown = samples.filter(s => s.value === null);
+        if (unknown.length) {
+            console.error(`Refusing to start: can't tell how much ${unknown.map(s => s.label).join(', ')} transfers, so the budget can't be checked (--no-preflight to skip this check)`);
+            process.exit(1);
+        }
+        const previews = await previewCalls(api, sample, samples);
+        console.log('Pre-flight (fee at the current multiplier, dry-run from the first sender):');
+        previews.forEach(p => console.log(`  ${p.label}: fee ${formatAmount(p.fee, tokenInfo)}, dry-run ${p.dryRun}`));
+        const ed = BigInt(api.consts.balances.existentialDeposit.toString());
+        const floor = argv.balanceFloor ? BigInt(argv.balanceFloor) : 0n;
+        const budget = await checkBudget(api, previews, {
+            plannedTotal,
+            addresses: senders.senders.map(s => s.address),
+            reserve: floor > ed ? floor : ed
+        });
+        console.log(`Estimated cost: ${formatAmount(budget.perTx, tokenInfo)} per tx, ${formatAmount(budget.total, tokenInfo)} for ${plannedTotal} txs` +
+            (senders.size > 1 ? `, ${formatAmount(budget.perSender, tokenInfo)} per sender (incl. reserve)` : ''));
+        const invalid = previews.filter(p => p.invalid);
+        if (invalid.length) {
+            console.error(`Refusing to start: the pool would reject ${invalid.map(p => p.label).join(', ')} (--no-preflight to skip this check)`);
+            process.exit(1);
+        }
+        if (budget.short.length) {
+            budget.short.slice(0, 10).forEach(({ address, available, needed }) => {
+                console.error(`  ${address}: spendable ${formatAmount(available, tokenInfo)}, needs ${formatAmount(needed, tokenInfo)}`);
+            });
+            if (budget.short.length > 10) console.error(`  ... and ${budget.short.length - 10} more`);
+            console.error(`Refusing to start: ${budget.short.length}/${senders.size} senders can't afford the planned run (use --fund, plan fewer txs, or --no-preflight)`);
+            process.exit(1);
+        }
+    }
+
+    // Presigned mode: sign everything up front so sending is only raw submission
+    if (argv.presign) {
+        console.log(`Presigning ${plannedTotal} extrinsics ...`);
+        const batch = await presignBatch(api, plannedTotal, () => {
+            const sender = senders.next();
+            const entry = scenario ? scenario.pick() : null;
+            const tx = entry
+                ? scenario.build(entry, { sender: sender.address, to: dest })
+                : api.tx.balances.transfer(dest, amount);
+            return { sender, nonce: sender.nonce++, call: entry ? entry.label : 'balances.transfer', tx };
+        }, { mortality: argv.mortality });
+        signed = batch.items;
+        if (argv.presignFile) {
+            await saveSigned(argv.presignFile, batch.header, signed);
+            console.log(`Saved presigned extrinsics to ${argv.presignFile} (replay with --replay ${argv.presignFile})`);
+        }
+    }
+    if (signed && argv.retries) {
+        console.log('Presigned extrinsics keep their nonces, --retries is ignored');
+    }
 
     const limit = pLimit(concurrency);
+    let tracker = null; // created when scheduling starts
 
-    // Helper to send one tx
-    async function sendOne(index) {
+    // Sign & send one attempt: sign with explicit nonce, then submit and watch it on the next
+    // endpoint. The promise settles at inBlock; the subscription stays open until finalized.
+    // A rejection before inclusion rejects with err.reason set (see lib/tx-errors.js); so does an
+    // attempt that isn't in a block within --submitTimeout (reason 'timeout').
+    async function submitAttempt(tx, sender, nonce, record) {
+        const target = targets.next();
+        record.endpoint = target.name;
+        await tx.signAsync(sender.pair, { nonce });
+        const started = Date.now();
+        target.stats.submitted++;
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const fail = (err) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                target.stats.failed++;
+                target.stats.reasons[err.reason] = (target.stats.reasons[err.reason] || 0) + 1;
+                reject(err);
+            };
+            const unsubPromise = target.api.rpc.author.submitAndWatchExtrinsic(tx.toHex(), (status) => {
+                if (status.isReady) {
+                    if (tracker.mark(record, 'ready')) target.stats.ready.push(Date.now() - started);
+                } else if (status.isInBlock || status.isFinalized) {
+                    if (tracker.mark(record, 'inBlock')) {
+                        record.hash = tx.hash.toHex();
+                        record.block = (status.isInBlock ? status.asInBlock : status.asFinalized).toHex();
+                        target.stats.inBlock++;
+                        target.stats.included.push(Date.now() - started);
+                        settled = true;
+                        clearTimeout(timer);
+                        resolve();
+                    }
+                    if (status.isFinalized) {
+                        tracker.mark(record, 'finalized');
+                        tracker.finish(record, 'finalized');
+                        unsubPromise.then(unsub => unsub()).catch(() => {});
+                    }
+                } else if (status.isInvalid || status.isUsurped || status.isDropped || status.isFinalityTimeout) {
+                    if (record.inBlock) {
+                        // retracted or finality timeout after inclusion; keep it counted as included
+                        tracker.finish(record, 'inBlock', { error: status.type });
+                    } else {
+                        fail(Object.assign(new Error(`Transaction ${status.type}`), { reason: rejectionReason(status.type) }));
+                    }
+                    unsubPromise.then(unsub => unsub()).catch(() => {});
+                }
+            });
+            unsubPromise.catch((err) => {
+                err.reason = rejectionReason(err);
+                fail(err);
+            });
+            const timer = setTimeout(() => {
+                unsubPromise.then(unsub => unsub()).catch(() => {});
+                fail(Object.assign(new Error(`Transaction not in a block after ${argv.submitTimeout}s`), { reason: 'timeout' }));
+            }, argv.submitTimeout * 1000);
+        });
+    }
+
+    // Included: look the dispatch outcome up in the block's events before counting the tx
+    async function settleIncluded(record, counts) {
+        let outcome;
         try {
-            // Determine nonce
-            let nonceForThis = null;
-            if (nonceAuto) {
-                nonceForThis = currentNonce++;
-            } else {
-                // use api.rpc.author.submitAndWatchExtrinsic or let polkadot API handle nonce
-                nonceForThis = (await api.rpc.system.accountNextIndex(sender.address)).toNumber(); // fallback
+            outcome = await outcomes.check(record.block, record.hash);
+        } catch (err) {
+            outcome = { success: null, error: `events unavailable: ${err.message}` };
+        }
+        record.success = outcome.success;
+        sent++;
+        if (outcome.success === false) {
+            failed++;
+            failedInBlock[outcome.error] = (failedInBlock[outcome.error] || 0) + 1;
+            if (counts) counts.failed++;
+            record.dispatchError = outcome.error;
+            console.log(`Tx #${record.index} included in block but failed: ${outcome.error}. Hash: ${record.hash}`);
+        } else {
+            succeeded++;
+            if (counts) counts.succeeded++;
+            if (outcome.success === null) {
+                unverified++;
+                record.outcomeError = outcome.error;
             }
+            console.log(`Tx #${record.index} included in block. Hash: ${record.hash}`);
+        }
+        return outcome;
+    }
+
+    // Helper to send one tx, resubmitting it within the retry limits
+    async function sendOne(index, phase) {
+        // Pick the next sender (above the balance floor) and determine its nonce
+        const sender = senders.next(guard && (s => !guard.isLow(s.address)));
+        if (!sender) {
+            skippedLow++;
+            return { status: 'skipped' };
+        }
+        const entry = scenario ? scenario.pick() : null;
+        const counts = entry ? (perCall[entry.label] ??= { succeeded: 0, failed: 0 }) : null;
+        let nonce = nonceAuto ? sender.nonce++ : null;
+        let record = null;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (!nonceAuto) {
+                    // use api.rpc.author.submitAndWatchExtrinsic or let polkadot API handle nonce
+                    nonce = (await api.rpc.system.accountNextIndex(sender.address)).toNumber(); // fallback
+                }
+
+                // Construct transfer (or the next call of the scenario mix)
+                const tx = entry
+                    ? scenario.build(entry, { sender: sender.address, to: dest })
+                    : api.tx.balances.transfer(dest, amount);
+                if (record) {
+                    record.nonce = nonce;
+                    record.retries = attempt;
+                } else {
+                    record = tracker.submit({ index, phase, sender: sender.address, nonce, call: entry ? entry.label : 'balances.transfer' });
+                }
 
-            // Construct transfer
-            const tx = api.tx.balances.transfer(dest, amount);
-
-            // Sign & send: using signAndSend with explicit nonce and status callbacks
-            return new Promise((resolve, reject) => {
-                const opts = { nonce: nonceForThis };
-                const unsubPromise = tx.signAndSend(sender, opts, (result) => {
-                    if (result.status.isInBlock) {
-                        succeeded++;
-                        sent++;
-                        console.log(`Tx #${index} included in block. Hash: ${tx.hash.toHex()}`);
-                        // console.log(`Tx #${index} included at ${result.status.asInBlock}`);
-                        resolve({ status: 'inBlock', hash: tx.hash?.toHex?.() });
-                    } else if (result.status.isFinalized) {
-                        // finalized
-                        // console.log(`Tx #${index} finalized`);
-                        // We already counted on inBlock
-                    } else if (result.isError) {
-                        failed++;
-                        sent++;
-                        reject(new Error('Unknown tx error status'));
+                await submitAttempt(tx, sender, nonce, record);
+                const outcome = await settleIncluded(record, counts);
+                return { status: outcome.success === false ? 'failed' : 'inBlock', hash: record.hash };
+            } catch (err) {
+                const reason = err.reason || 'error';
+
+                // Was our nonce consumed (stale, usurped) or is it now a gap that stalls the later ones?
+                let gap = false;
+                if (nonceAuto && nonce !== null) {
+                    try {
+                        gap = (await senders.resync(api, sender)) <= nonce;
+                    } catch (e) {
+                        console.warn(`Tx #${index}: nonce resync for ${sender.address} failed: ${e.message}`);
                     }
-                }).catch((err) => {
-                    failed++;
-                    sent++;
-                    reject(err);
-                });
-            });
+                }
+
+                if (record && attempt < argv.retries && retryBudget > 0) {
+                    retryBudget--;
+                    retries[reason] = (retries[reason] || 0) + 1;
+                    // a gap is refilled by the retry itself, otherwise take a fresh nonce
+                    if (nonceAuto && !gap) nonce = sender.nonce++;
+                    console.warn(`Tx #${index} ${reason}: ${err.message}, retry ${attempt + 1}/${argv.retries} with nonce ${nonce ?? 'auto'}`);
+                    await new Promise(r => setTimeout(r, Math.min(5000, 200 * 2 ** attempt)));
+                    continue;
+                }
+
+                if (gap) {
+                    gapFills.push(senders.fillGap(api, sender, nonce)
+                        .then(() => gapsFilled++)
+                        .catch(e => console.warn(`Could not fill nonce gap ${nonce} of ${sender.address}: ${e.message}`)));
+                }
+                failed++;
+                sent++;
+                dropped[reason] = (dropped[reason] || 0) + 1;
+                if (counts) counts.failed++;
+                if (record) tracker.finish(record, 'failed', { error: err.message, reason });
+                throw err;
+            }
+        }
+    }
+
+    // Presigned mode: push the raw bytes; inclusion is picked up from new blocks by hash
+    let watcher = null;
+    async function submitSigned(item, phase) {
+        const counts = perCall[item.call] ??= { succeeded: 0, failed: 0 };
+        const target = targets.next();
+        const record = tracker.submit({ index: item.index, phase, sender: item.sender, nonce: item.nonce, call: item.call, hash: item.hash, endpoint: target.name });
+        watcher.expect(item.hash, record);
+        target.stats.submitted++;
+        try {
+            await target.api.rpc.author.submitExtrinsic(item.hex);
+            tracker.mark(record, 'ready');
+            target.stats.ready.push(record.ready - record.submit);
         } catch (err) {
+            const reason = rejectionReason(err);
+            watcher.forget(item.hash);
+            target.stats.failed++;
+            target.stats.reasons[reason] = (target.stats.reasons[reason] || 0) + 1;
             failed++;
             sent++;
+            dropped[reason] = (dropped[reason] || 0) + 1;
+            counts.failed++;
+            tracker.finish(record, 'failed', { error: err.message, reason });
             throw err;
         }
     }
+    if (signed) {
+        watcher = new InclusionWatcher(api, {
+            onInBlock: (record, blockHash) => {
+                const first = tracker.mark(record, 'inBlock');
+                record.block = blockHash; // again when its first block was orphaned and it was found on the finalized chain
+                if (!first) return;
+                const target = targets.get(record.endpoint);
+                target.stats.inBlock++;
+                target.stats.included.push(record.inBlock - record.submit);
+                settling.push(settleIncluded(record, perCall[record.call]));
+            },
+            onFinalized: (record) => {
+                tracker.mark(record, 'finalized');
+                tracker.finish(record, 'finalized');
+            }
+        });
+        await watcher.start();
+    }
 
-    // Scheduler: send at tps for duration OR until totalTxs reached
-    const intervalMs = 1000 / tps;
-    let plannedTotal = totalTxs ?? Math.ceil(duration * tps);
-    console.log(`Planned total txs: ${plannedTotal} (tps=${tps}, interval=${intervalMs}ms)`);
+    // Balance floor: polled during the run, consulted by the scheduler and sendOne
+    let guard = null;
+    if (argv.balanceFloor) {
+        const addresses = signed ? [...new Set(signed.map(item => item.sender))] : senders.senders.map(s => s.address);
+        guard = new BalanceGuard(api, addresses, argv.balanceFloor, {
+            onChange: (address, low, available) => console.log(low
+                ? `Sender ${address} dropped below the balance floor (${formatAmount(available, tokenInfo)})`
+                : `Sender ${address} is above the balance floor again (${formatAmount(available, tokenInfo)})`)
+        });
+        await guard.start();
+        if (guard.lowCount) console.log(`${guard.lowCount}/${addresses.length} senders start below the balance floor`);
+    }
 
     const startTime = Date.now();
+    tracker = new TxTracker(startTime, argv.txLog);
     let index = 0;
 
     const promises = [];
@@ -145,44 +557,118 @@ import pLimit from 'p-limit';
         if (index >= plannedTotal) return false;
         // send one tx (but we respect concurrency via pLimit)
         const i = index++;
-        const p = limit(() => sendOne(i).catch((e) => {
+        const phase = profile.phaseOf(i).name;
+        const p = limit(() => (signed ? submitSigned(signed[i], phase) : sendOne(i, phase)).catch((e) => {
             console.error(`Tx #${i} failed: ${e.message || e}`);
         }));
         promises.push(p);
         return true;
     }
 
-    // Strict timing loop: schedule every intervalMs until planned total or duration elapsed
-    let nextTime = Date.now();
+    // Strict timing loop: tx #k is due once the profile's cumulative count reaches k,
+    // so lagging ticks catch up and the curve is followed exactly
     while (index < plannedTotal) {
-        const now = Date.now();
-        if (now >= nextTime) {
-            // schedule up to floor((now-nextTime)/intervalMs)+1 in case of lag
-            scheduleTick();
-            nextTime += intervalMs;
-        } else {
-            // sleep a bit
-            await new Promise(r => setTimeout(r, Math.max(0, nextTime - now)));
-        }
+        const elapsed = (Date.now() - startTime) / 1000;
 
         // If duration provided, break when elapsed
-        if (duration && (Date.now() - startTime) / 1000 >= duration) {
+        if (!totalTxs && elapsed >= profile.duration) {
             console.log('Duration reached, stopping scheduling new txs.');
             break;
         }
+
+        const due = Math.min(plannedTotal, Math.floor(profile.countAt(elapsed) + 1e-6) + 1);
+        if (guard && (argv.onFloor === 'stop' ? guard.lowCount > 0 : guard.allLow)) {
+            if (argv.onFloor === 'stop') {
+                console.log('Sender balance below --balanceFloor, stopping scheduling new txs.');
+                break;
+            }
+            // paused: every sender is below the floor, the txs due meanwhile are skipped
+            skippedLow += due - index;
+            index = due;
+        }
+        while (index < due) {
+            scheduleTick();
+        }
+
+        // sleep until the next tx is due (re-checked at least every 100ms as the rate changes)
+        const rate = profile.rateAt(elapsed);
+        const waitMs = rate > 0 ? ((index - profile.countAt(elapsed)) / rate) * 1000 : 100;
+        await new Promise(r => setTimeout(r, Math.min(100, Math.max(1, waitMs))));
     }
 
-    // wait for all pending promises to settle
-    await Promise.allSettled(promises);
+    const sendingSeconds = (Date.now() - startTime) / 1000;
 
+    // wait for all pending promises to settle (inBlock), then for outstanding finalizations
+    await Promise.allSettled(promises);
     const elapsed = (Date.now() - startTime) / 1000;
+    if (tracker.open.size) {
+        console.log(`Waiting up to ${argv.finalityTimeout}s for ${tracker.open.size} transactions to finalize ...`);
+    }
+    const unfinalized = await tracker.drain(argv.finalityTimeout * 1000);
+    await Promise.allSettled(settling);
+    await Promise.allSettled(gapFills);
+    await tracker.close();
+    if (watcher) watcher.stop();
+    if (guard) guard.stop();
+
     console.log('---- Summary ----');
     console.log(`Time elapsed: ${elapsed}s`);
     console.log(`Attempted: ${index}`);
     console.log(`Sent attempts: ${sent}`);
-    console.log(`Succeeded (inBlock): ${succeeded}`);
+    console.log(`Succeeded (inBlock, dispatched ok): ${succeeded}`);
     console.log(`Failed: ${failed}`);
+    console.log(`  included but failed, by error: ${formatReasons(failedInBlock)}`);
+    console.log(`  not included, by pool rejection reason: ${formatReasons(dropped)}`);
+    if (unverified) {
+        console.log(`Included with unknown outcome (counted as succeeded): ${unverified}`);
+    }
+    if (guard) {
+        console.log(`Skipped (balance below floor): ${skippedLow}`);
+    }
+    console.log(`Retries: ${Object.values(retries).reduce((sum, n) => sum + n, 0)} (${formatReasons(retries)})${retryBudget === 0 ? ', retry budget exhausted' : ''}`);
+    if (nonceAuto) {
+        console.log(`Nonce gaps filled: ${gapsFilled}`);
+    }
+    for (const [label, c] of Object.entries(perCall)) {
+        console.log(`  ${label}: ${c.succeeded} succeeded, ${c.failed} failed`);
+    }
+    if (senders.size > 1) {
+        console.log(`Senders: ${senders.size} (${Math.min(...senders.senders.map(s => s.sent))}-${Math.max(...senders.senders.map(s => s.sent))} txs each)`);
+    }
+    console.log(`Finalized: ${tracker.latency.finalized.length}${unfinalized ? ` (${unfinalized} not finalized within ${argv.finalityTimeout}s)` : ''}`);
+    console.log(`Achieved TPS (inBlock): ${(succeeded / elapsed).toFixed(2)} (target ${argv.profile ? (plannedTotal / profile.duration).toFixed(2) + ' avg' : tps})`);
+
+    console.log('---- Latency (ms) ----');
+    for (const [stage, values] of Object.entries(tracker.latency)) {
+        const st = latencyStats(values);
+        console.log(`submit->${stage}: n=${st.count} p50=${st.p50 ?? '-'} p90=${st.p90 ?? '-'} p99=${st.p99 ?? '-'} min=${st.min ?? '-'} avg=${st.avg ?? '-'} max=${st.max ?? '-'}`);
+        formatHistogram(values).forEach(line => console.log(line));
+    }
+    console.log('---- TPS per second (target vs achieved) ----');
+    formatTpsReport(tracker.perSecond, (second) => second < sendingSeconds ? profile.rateAt(second + 0.5) : 0).forEach(line => console.log(line));
+    if (argv.profile) {
+        console.log('---- Phases ----');
+        console.log(`  ${'Phase'.padEnd(10)} ${'Profile'.padEnd(28)} ${'Target'.padStart(8)} ${'Sent'.padStart(8)} ${'InBlock'.padStart(8)} ${'Failed'.padStart(7)} ${'p50'.padStart(7)} ${'p99'.padStart(7)}`);
+        for (const phase of profile.phases) {
+            const stats = tracker.phases[phase.name] || { submitted: 0, failed: 0, inBlock: [], finalized: [] };
+            const st = latencyStats(stats.inBlock);
+            console.log(`  ${phase.name.padEnd(10)} ${`${phase.label} ${phase.duration}s`.padEnd(28)} ${String(Math.round(phase.countAt(phase.duration))).padStart(8)} ${String(stats.submitted).padStart(8)} ${String(stats.inBlock.length).padStart(8)} ${String(stats.failed).padStart(7)} ${String(st.p50 ?? '-').padStart(7)} ${String(st.p99 ?? '-').padStart(7)}`);
+        }
+    }
+    if (targets.size > 1) {
+        console.log('---- Endpoints ----');
+        console.log(`  ${'Endpoint'.padEnd(24)} ${'Sent'.padStart(8)} ${'InBlock'.padStart(8)} ${'Failed'.padStart(7)} ${'Ready p50'.padStart(10)} ${'InBlock p50'.padStart(12)} ${'p99'.padStart(7)}  Failure reasons`);
+        for (const { name, stats } of targets.targets) {
+            const ready = latencyStats(stats.ready);
+            const included = latencyStats(stats.included);
+            console.log(`  ${name.padEnd(24)} ${String(stats.submitted).padStart(8)} ${String(stats.inBlock).padStart(8)} ${String(stats.failed).padStart(7)} ${String(ready.p50 ?? '-').padStart(10)} ${String(included.p50 ?? '-').padStart(12)} ${String(included.p99 ?? '-').padStart(7)}  ${stats.failed ? formatReasons(stats.reasons) : ''}`);
+        }
+    }
+    if (argv.txLog) {
+        console.log(`Per-transaction records written to ${argv.txLog}`);
+    }
 
+    await targets.disconnect();
     await api.disconnect();
     process.exit(0);
 })().catch((err) => {